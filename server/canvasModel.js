@@ -0,0 +1,135 @@
+// --- CANVAS MODEL ---
+// A scribble drawing is a list of objects with ids, each tagged by `op` like the
+// old history entries ('stroke', 'fill', 'line', 'rect', 'ellipse', 'text').
+// Every change goes on the undo stack so undo/redo reach clients as small diffs:
+//   { op: 'add', object, index }  { op: 'remove', id }
+//   { op: 'clear' }               { op: 'restore', objects }
+const MAX_UNDO = 200;
+const MAX_TEXT = 100;
+const SHAPES = ['line', 'rect', 'ellipse', 'text'];
+
+function createCanvas() {
+    return { objects: [], undo: [], redo: [], seq: 0 };
+}
+
+function isNum(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+function cleanColor(c) {
+    return typeof c === 'string' && c.length <= 32 ? c : '#000000';
+}
+
+function cleanWidth(w) {
+    return isNum(w) ? Math.min(100, Math.max(1, w)) : 4;
+}
+
+// Client ids are accepted when well-formed and unused, otherwise we mint one
+function assignId(canvas, wanted) {
+    if(typeof wanted === 'string' && /^[\w-]{1,40}$/.test(wanted) && !canvas.objects.some(o => o.id === wanted)) return wanted;
+    canvas.seq++;
+    return `o${canvas.seq}`;
+}
+
+// Builds a shape object from a draw_op payload, or null if it is malformed
+function buildShape(canvas, data) {
+    const base = { id: assignId(canvas, data.id), op: data.shape, color: cleanColor(data.color) };
+    if(data.shape === 'line') {
+        if(![data.x1, data.y1, data.x2, data.y2].every(isNum)) return null;
+        return { ...base, x1: data.x1, y1: data.y1, x2: data.x2, y2: data.y2, width: cleanWidth(data.width) };
+    }
+    if(data.shape === 'rect' || data.shape === 'ellipse') {
+        if(![data.x, data.y, data.w, data.h].every(isNum)) return null;
+        return { ...base, x: data.x, y: data.y, w: data.w, h: data.h, width: cleanWidth(data.width), filled: !!data.filled };
+    }
+    if(data.shape === 'text') {
+        if(![data.x, data.y].every(isNum) || typeof data.text !== 'string' || !data.text.trim()) return null;
+        return { ...base, x: data.x, y: data.y, text: data.text.slice(0, MAX_TEXT), size: isNum(data.size) ? Math.min(200, Math.max(6, data.size)) : 24 };
+    }
+    return null;
+}
+
+function buildStroke(canvas, data) {
+    if(!isNum(data.x) || !isNum(data.y)) return null;
+    return { id: assignId(canvas, data.id), op: 'stroke', color: cleanColor(data.color), width: cleanWidth(data.width), points: [{ x: data.x, y: data.y }] };
+}
+
+function buildFill(canvas, data) {
+    if(!isNum(data.x) || !isNum(data.y)) return null;
+    return { id: assignId(canvas, data.id), op: 'fill', color: cleanColor(data.color), x: data.x, y: data.y };
+}
+
+function record(canvas, entry) {
+    canvas.undo.push(entry);
+    if(canvas.undo.length > MAX_UNDO) canvas.undo.shift();
+    canvas.redo = [];
+}
+
+// Each mutator returns the diff to broadcast, or null when nothing changed
+function addObject(canvas, object) {
+    canvas.objects.push(object);
+    record(canvas, { kind: 'add', object });
+    return { op: 'add', object, index: canvas.objects.length - 1 };
+}
+
+function eraseObject(canvas, id) {
+    const index = canvas.objects.findIndex(o => o.id === id);
+    if(index === -1) return null;
+    const [object] = canvas.objects.splice(index, 1);
+    record(canvas, { kind: 'erase', object, index });
+    return { op: 'remove', id };
+}
+
+function clear(canvas) {
+    if(canvas.objects.length === 0) return null;
+    record(canvas, { kind: 'clear', objects: canvas.objects });
+    canvas.objects = [];
+    return { op: 'clear' };
+}
+
+function apply(canvas, entry, reverse) {
+    const { kind } = entry;
+    if((kind === 'add' && !reverse) || (kind === 'erase' && reverse)) {
+        const index = kind === 'erase' ? Math.min(entry.index, canvas.objects.length) : canvas.objects.length;
+        canvas.objects.splice(index, 0, entry.object);
+        return { op: 'add', object: entry.object, index };
+    }
+    if(kind === 'add' || kind === 'erase') {
+        canvas.objects = canvas.objects.filter(o => o.id !== entry.object.id);
+        return { op: 'remove', id: entry.object.id };
+    }
+    // clear
+    if(reverse) {
+        canvas.objects = entry.objects;
+        return { op: 'restore', objects: entry.objects };
+    }
+    canvas.objects = [];
+    return { op: 'clear' };
+}
+
+function undo(canvas) {
+    const entry = canvas.undo.pop();
+    if(!entry) return null;
+    canvas.redo.push(entry);
+    return apply(canvas, entry, true);
+}
+
+function redo(canvas) {
+    const entry = canvas.redo.pop();
+    if(!entry) return null;
+    canvas.undo.push(entry);
+    return apply(canvas, entry, false);
+}
+
+module.exports = {
+    SHAPES,
+    createCanvas,
+    buildShape,
+    buildStroke,
+    buildFill,
+    addObject,
+    eraseObject,
+    clear,
+    undo,
+    redo
+};
@@ -0,0 +1,263 @@
+// --- CHESS960 ---
+// Fischer Random on top of chess.js. chess.js only castles with the king on e
+// and the rooks on a/h, so the position inside is kept with castling off and
+// this wrapper adds castling from its own rights. Rights are rook files, written
+// Shredder-FEN style ("HAha": white's h- and a-rooks, then black's).
+const { Chess } = require('./chessLib');
+
+const FILES = 'abcdefgh';
+const POSITIONS = 960;
+// Knight pairs over the five squares left once bishops and queen are placed
+const KNIGHT_PAIRS = [[0,1],[0,2],[0,3],[0,4],[1,2],[1,3],[1,4],[2,3],[2,4],[3,4]];
+
+// Back rank for start position `n` (0-959) in the usual Scharnagl numbering; 518 is the standard setup
+function backRank(n) {
+    const rank = Array(8).fill(null);
+    const free = () => rank.map((p, i) => p ? -1 : i).filter(i => i >= 0);
+    rank[(n % 4) * 2 + 1] = 'B'; n = Math.floor(n / 4);
+    rank[(n % 4) * 2] = 'B'; n = Math.floor(n / 4);
+    rank[free()[n % 6]] = 'Q'; n = Math.floor(n / 6);
+    const spots = free();
+    KNIGHT_PAIRS[n].forEach(k => { rank[spots[k]] = 'N'; });
+    // King always sits between the two rooks
+    const [r1, k, r2] = free();
+    rank[r1] = 'R'; rank[k] = 'K'; rank[r2] = 'R';
+    return rank.join('');
+}
+
+function randomPosition() {
+    return Math.floor(Math.random() * POSITIONS);
+}
+
+function startFen(n) {
+    const rank = backRank(n);
+    const rooks = [...rank].map((p, i) => p === 'R' ? FILES[i] : null).filter(Boolean);
+    const rights = (rooks[1] + rooks[0]).toUpperCase() + rooks[1] + rooks[0];
+    return `${rank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${rank} w ${rights} - 0 1`;
+}
+
+function homeRank(color) {
+    return color === 'w' ? '1' : '8';
+}
+
+function noRights() {
+    return { w: { k: null, q: null }, b: { k: null, q: null } };
+}
+
+class Chess960 {
+    // Accepts Shredder-FEN (rook files) or X-FEN (KQkq = outermost rook) castling fields
+    constructor(fen) {
+        const parts = String(fen).trim().split(/\s+/);
+        if(parts.length < 4) throw new Error("Invalid FEN: expected at least 4 fields");
+        this.chess = new Chess([parts[0], parts[1], '-', parts[3], parts[4] || '0', parts[5] || '1'].join(' '));
+        this.rights = noRights();
+        if(parts[2] !== '-') [...parts[2]].forEach(ch => this.addRight(ch));
+        this.startFen = this.fen();
+        this.moveList = [];
+        // Seven Tag Roster defaults, in order, like chess.js
+        this.headers = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?', Result: '*' };
+        this.seen = { [this.positionKey()]: 1 };
+    }
+
+    addRight(ch) {
+        const color = ch === ch.toUpperCase() ? 'w' : 'b';
+        const rank = homeRank(color);
+        const king = this.kingSquare(color);
+        if(!king || king[1] !== rank) throw new Error("Invalid FEN: castling rights without a king on its home rank");
+        const kf = FILES.indexOf(king[0]);
+        const lower = ch.toLowerCase();
+        let file = lower;
+        if(lower === 'k' || lower === 'q') {
+            const files = lower === 'k' ? [7, 6, 5, 4, 3, 2, 1].filter(f => f > kf) : [0, 1, 2, 3, 4, 5, 6].filter(f => f < kf);
+            file = files.map(f => FILES[f]).find(f => this.isRook(f + rank, color));
+        }
+        if(!file || !FILES.includes(file) || !this.isRook(file + rank, color)) throw new Error(`Invalid FEN: no rook for castling right '${ch}'`);
+        this.rights[color][FILES.indexOf(file) > kf ? 'k' : 'q'] = file;
+    }
+
+    isRook(square, color) {
+        const p = this.chess.get(square);
+        return !!p && p.type === 'r' && p.color === color;
+    }
+
+    kingSquare(color) {
+        for(const row of this.chess.board()) {
+            for(const p of row) if(p && p.type === 'k' && p.color === color) return p.square;
+        }
+        return null;
+    }
+
+    rightsField() {
+        const r = this.rights;
+        const field = [r.w.k, r.w.q].filter(Boolean).join('').toUpperCase() + [r.b.k, r.b.q].filter(Boolean).join('');
+        return field || '-';
+    }
+
+    fen() {
+        const parts = this.chess.fen().split(' ');
+        parts[2] = this.rightsField();
+        return parts.join(' ');
+    }
+
+    // Same position without castling, for code that needs plain chess.js (the bot)
+    engineFen() {
+        return this.chess.fen();
+    }
+
+    // Repetition key: placement, side to move, castling and en passant
+    positionKey() {
+        return this.fen().split(' ').slice(0, 4).join(' ');
+    }
+
+    turn() { return this.chess.turn(); }
+    board() { return this.chess.board(); }
+    inCheck() { return this.chess.inCheck(); }
+    isCheckmate() { return this.chess.isCheckmate(); }
+    isInsufficientMaterial() { return this.chess.isInsufficientMaterial(); }
+    isDrawByFiftyMoves() { return this.chess.isDrawByFiftyMoves(); }
+    isThreefoldRepetition() { return this.seen[this.positionKey()] >= 3; }
+
+    isStalemate() {
+        return this.chess.isStalemate() && !this.canCastle('k') && !this.canCastle('q');
+    }
+
+    isGameOver() {
+        return this.isCheckmate() || this.isStalemate() || this.isInsufficientMaterial() || this.isThreefoldRepetition() || this.isDrawByFiftyMoves();
+    }
+
+    // Squares for castling on `side`: king and rook always land on g/f or c/d
+    castleSquares(side) {
+        const color = this.turn();
+        const rank = homeRank(color);
+        return {
+            color, rank,
+            kFrom: this.kingSquare(color), rFrom: this.rights[color][side] + rank,
+            kTo: (side === 'k' ? 'g' : 'c') + rank, rTo: (side === 'k' ? 'f' : 'd') + rank
+        };
+    }
+
+    // Board after castling, as a plain chess.js position with the same side still to move
+    castledBoard(side) {
+        const { color, kFrom, rFrom, kTo, rTo } = this.castleSquares(side);
+        const c = new Chess(this.chess.fen());
+        c.remove(kFrom);
+        c.remove(rFrom);
+        c.put({ type: 'k', color }, kTo);
+        c.put({ type: 'r', color }, rTo);
+        return c;
+    }
+
+    canCastle(side) {
+        const color = this.turn();
+        if(!this.rights[color][side] || this.chess.inCheck()) return false;
+        const { rank, kFrom, rFrom, kTo, rTo } = this.castleSquares(side);
+        const opp = color === 'w' ? 'b' : 'w';
+        const files = [kFrom, rFrom, kTo, rTo].map(sq => FILES.indexOf(sq[0]));
+        // Everything between the four squares must be empty apart from the king and that rook
+        for(let f = Math.min(...files); f <= Math.max(...files); f++) {
+            const sq = FILES[f] + rank;
+            if(sq !== kFrom && sq !== rFrom && this.chess.get(sq)) return false;
+        }
+        // The king may not pass through check; its landing square is checked with the rook
+        // already moved, since that rook can be what currently blocks an attack
+        const kf = FILES.indexOf(kFrom[0]), kt = FILES.indexOf(kTo[0]);
+        for(let f = Math.min(kf, kt); f <= Math.max(kf, kt); f++) {
+            if(FILES[f] + rank !== kTo && this.chess.isAttacked(FILES[f] + rank, opp)) return false;
+        }
+        return !this.castledBoard(side).isAttacked(kTo, opp);
+    }
+
+    // 'k', 'q' or null: O-O / O-O-O (or 0-0), the king taking its own rook,
+    // or the king moved to g/c when that isn't also an ordinary king move
+    castleSide(move) {
+        if(typeof move === 'string') {
+            const s = move.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+            return s === 'O-O' ? 'k' : s === 'O-O-O' ? 'q' : null;
+        }
+        if(!move || !move.from || !move.to) return null;
+        const color = this.turn();
+        const rank = homeRank(color);
+        if(move.from !== this.kingSquare(color)) return null;
+        for(const side of ['k', 'q']) {
+            if(this.rights[color][side] && move.to === this.rights[color][side] + rank) return side;
+        }
+        if(this.chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to)) return null;
+        if(move.to === 'g' + rank && this.rights[color].k) return 'k';
+        if(move.to === 'c' + rank && this.rights[color].q) return 'q';
+        return null;
+    }
+
+    castle(side) {
+        if(!this.canCastle(side)) throw new Error(`Invalid move: ${side === 'k' ? 'O-O' : 'O-O-O'}`);
+        const { color, kFrom, kTo } = this.castleSquares(side);
+        const parts = this.castledBoard(side).fen().split(' ');
+        parts[1] = color === 'w' ? 'b' : 'w';
+        parts[3] = '-';
+        parts[4] = String(parseInt(parts[4]) + 1);
+        if(color === 'b') parts[5] = String(parseInt(parts[5]) + 1);
+        this.chess.load(parts.join(' '));
+        this.rights[color] = { k: null, q: null };
+
+        const suffix = this.chess.isCheckmate() ? '#' : this.chess.inCheck() ? '+' : '';
+        return { color, from: kFrom, to: kTo, piece: 'k', flags: side, san: (side === 'k' ? 'O-O' : 'O-O-O') + suffix };
+    }
+
+    // Moving the king, or moving or capturing a castling rook, drops those rights
+    updateRights(m) {
+        if(m.piece === 'k') this.rights[m.color] = { k: null, q: null };
+        for(const color of ['w', 'b']) {
+            for(const side of ['k', 'q']) {
+                const sq = this.rights[color][side] && this.rights[color][side] + homeRank(color);
+                if(sq && (m.from === sq || m.to === sq)) this.rights[color][side] = null;
+            }
+        }
+    }
+
+    // Takes SAN or {from, to, promotion} like chess.js and throws on illegal moves the same way
+    move(move) {
+        const side = this.castleSide(move);
+        let m;
+        if(side) m = this.castle(side);
+        else {
+            m = this.chess.move(move);
+            this.updateRights(m);
+        }
+        this.moveList.push({ ...m, comment: null });
+        const key = this.positionKey();
+        this.seen[key] = (this.seen[key] || 0) + 1;
+        return m;
+    }
+
+    moves() {
+        const castles = ['k', 'q'].filter(s => this.canCastle(s)).map(s => s === 'k' ? 'O-O' : 'O-O-O');
+        return this.chess.moves().concat(castles);
+    }
+
+    history({ verbose } = {}) {
+        return this.moveList.map(m => verbose ? m : m.san);
+    }
+
+    setHeader(key, value) { this.headers[key] = value; }
+    getHeaders() { return { ...this.headers }; }
+
+    setComment(comment) {
+        if(this.moveList.length) this.moveList[this.moveList.length - 1].comment = comment;
+    }
+
+    pgn() {
+        const tags = Object.entries(this.headers).map(([k, v]) => `[${k} "${v}"]`);
+        let moveNo = parseInt(this.startFen.split(' ')[5]) || 1;
+        const out = [];
+        this.moveList.forEach((m, i) => {
+            if(m.color === 'w') out.push(`${moveNo}.`);
+            else if(i === 0) out.push(`${moveNo}...`);
+            out.push(m.san);
+            if(m.comment) out.push(`{${m.comment}}`);
+            if(m.color === 'b') moveNo++;
+        });
+        out.push(this.headers.Result || '*');
+        return (tags.length ? tags.join('\n') + '\n\n' : '') + out.join(' ');
+    }
+}
+
+module.exports = { Chess960, POSITIONS, backRank, randomPosition, startFen };
@@ -0,0 +1,121 @@
+// --- CHESS CLOCK ---
+// Plain-object clock driven by monotonic timestamps. Nothing here keeps a timer;
+// the room's interval only asks how much time is left.
+const { performance } = require('perf_hooks');
+
+const PRESETS = {
+    'bullet': '1+0',
+    'blitz': '3+2',
+    'rapid': '10+0',
+    'classical': '30+20'
+};
+
+// "3+2" -> 3 minutes base, 2 seconds increment
+function parseTimeControl(str) {
+    const tc = PRESETS[str] || str;
+    const m = /^\s*(\d+(?:\.\d+)?)\s*\+\s*(\d+)\s*$/.exec(String(tc || ''));
+    if(!m) return null;
+    return { base: Math.round(parseFloat(m[1]) * 60), increment: parseInt(m[2]) };
+}
+
+// Builds the clock config from room settings; all values in seconds
+function timeControlFromSettings(settings) {
+    const preset = settings.timeControl ? parseTimeControl(settings.timeControl) : null;
+    const base = preset ? preset.base : (parseInt(settings.time) || 600);
+    const increment = preset ? preset.increment : (parseInt(settings.increment) || 0);
+    const delay = parseInt(settings.delay) || 0;
+    const delayType = delay > 0 ? (settings.delayType === 'bronstein' ? 'bronstein' : 'simple') : 'none';
+    return { base, increment, delay, delayType };
+}
+
+function createClock(tc, turn = 'w') {
+    return {
+        base: tc.base * 1000,
+        increment: tc.increment * 1000,
+        delay: tc.delay * 1000,
+        delayType: tc.delayType,
+        remaining: { w: tc.base * 1000, b: tc.base * 1000 },
+        turn,
+        usedThisTurn: 0,
+        turnStartedAt: null // null while stopped or paused
+    };
+}
+
+function elapsed(clock) {
+    return clock.usedThisTurn + (clock.turnStartedAt !== null ? performance.now() - clock.turnStartedAt : 0);
+}
+
+function remainingMs(clock, color) {
+    if(color !== clock.turn) return clock.remaining[color];
+    const used = elapsed(clock);
+    // Simple (US) delay: the clock doesn't start eating time until the delay has passed
+    const charged = clock.delayType === 'simple' ? Math.max(0, used - clock.delay) : used;
+    return Math.max(0, clock.remaining[color] - charged);
+}
+
+function start(clock) {
+    if(clock.turnStartedAt === null) clock.turnStartedAt = performance.now();
+}
+
+function pause(clock) {
+    if(clock.turnStartedAt === null) return;
+    clock.usedThisTurn += performance.now() - clock.turnStartedAt;
+    clock.turnStartedAt = null;
+}
+
+function isPaused(clock) {
+    return clock.turnStartedAt === null;
+}
+
+// Charges the current turn and hands the clock to `color` without any bonus
+function setTurn(clock, color) {
+    const running = !isPaused(clock);
+    clock.remaining[clock.turn] = remainingMs(clock, clock.turn);
+    clock.turn = color;
+    clock.usedThisTurn = 0;
+    clock.turnStartedAt = running ? performance.now() : null;
+}
+
+// Ends the mover's turn: applies Bronstein delay refund and Fischer increment
+function completeMove(clock) {
+    const mover = clock.turn;
+    const used = elapsed(clock);
+    setTurn(clock, mover === 'w' ? 'b' : 'w');
+    if(clock.remaining[mover] <= 0) return;
+    if(clock.delayType === 'bronstein') clock.remaining[mover] += Math.min(used, clock.delay);
+    clock.remaining[mover] += clock.increment;
+}
+
+function isFlagged(clock) {
+    return remainingMs(clock, clock.turn) <= 0;
+}
+
+// Copy of the clock stopped at this instant, safe to serialise and restore later
+function freeze(clock) {
+    return { ...clock, usedThisTurn: elapsed(clock), turnStartedAt: null };
+}
+
+function snapshot(clock) {
+    return {
+        w: Math.round(remainingMs(clock, 'w')),
+        b: Math.round(remainingMs(clock, 'b')),
+        turn: clock.turn,
+        paused: isPaused(clock)
+    };
+}
+
+module.exports = {
+    PRESETS,
+    parseTimeControl,
+    timeControlFromSettings,
+    createClock,
+    remainingMs,
+    start,
+    pause,
+    isPaused,
+    setTurn,
+    completeMove,
+    isFlagged,
+    freeze,
+    snapshot
+};
@@ -0,0 +1,242 @@
+// --- CHESS ENGINE ---
+// Alpha-beta (negamax) search over chess.js move generation with a
+// material + piece-square evaluation and iterative deepening under a time budget.
+// The game server searches through searchBestMove(), which runs on a worker thread
+// so a deep search never holds up the event loop.
+const { Worker, workerData, parentPort } = require('worker_threads');
+const { Chess } = require('./chessLib');
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE_SCORE = 100000;
+
+// Piece-square tables from white's point of view, index 0 = a8 (same order as chess.board())
+const PST = {
+    p: [
+         0,  0,  0,  0,  0,  0,  0,  0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+         5,  5, 10, 25, 25, 10,  5,  5,
+         0,  0,  0, 20, 20,  0,  0,  0,
+         5, -5,-10,  0,  0,-10, -5,  5,
+         5, 10, 10,-20,-20, 10, 10,  5,
+         0,  0,  0,  0,  0,  0,  0,  0
+    ],
+    n: [
+        -50,-40,-30,-30,-30,-30,-40,-50,
+        -40,-20,  0,  0,  0,  0,-20,-40,
+        -30,  0, 10, 15, 15, 10,  0,-30,
+        -30,  5, 15, 20, 20, 15,  5,-30,
+        -30,  0, 15, 20, 20, 15,  0,-30,
+        -30,  5, 10, 15, 15, 10,  5,-30,
+        -40,-20,  0,  5,  5,  0,-20,-40,
+        -50,-40,-30,-30,-30,-30,-40,-50
+    ],
+    b: [
+        -20,-10,-10,-10,-10,-10,-10,-20,
+        -10,  0,  0,  0,  0,  0,  0,-10,
+        -10,  0,  5, 10, 10,  5,  0,-10,
+        -10,  5,  5, 10, 10,  5,  5,-10,
+        -10,  0, 10, 10, 10, 10,  0,-10,
+        -10, 10, 10, 10, 10, 10, 10,-10,
+        -10,  5,  0,  0,  0,  0,  5,-10,
+        -20,-10,-10,-10,-10,-10,-10,-20
+    ],
+    r: [
+          0,  0,  0,  0,  0,  0,  0,  0,
+          5, 10, 10, 10, 10, 10, 10,  5,
+         -5,  0,  0,  0,  0,  0,  0, -5,
+         -5,  0,  0,  0,  0,  0,  0, -5,
+         -5,  0,  0,  0,  0,  0,  0, -5,
+         -5,  0,  0,  0,  0,  0,  0, -5,
+         -5,  0,  0,  0,  0,  0,  0, -5,
+          0,  0,  0,  5,  5,  0,  0,  0
+    ],
+    q: [
+        -20,-10,-10, -5, -5,-10,-10,-20,
+        -10,  0,  0,  0,  0,  0,  0,-10,
+        -10,  0,  5,  5,  5,  5,  0,-10,
+         -5,  0,  5,  5,  5,  5,  0, -5,
+          0,  0,  5,  5,  5,  5,  0, -5,
+        -10,  5,  5,  5,  5,  5,  0,-10,
+        -10,  0,  5,  0,  0,  0,  0,-10,
+        -20,-10,-10, -5, -5,-10,-10,-20
+    ],
+    k: [
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -20,-30,-30,-40,-40,-30,-30,-20,
+        -10,-20,-20,-20,-20,-20,-20,-10,
+         20, 20,  0,  0,  0,  0, 20, 20,
+         20, 30, 10,  0,  0, 10, 30, 20
+    ]
+};
+
+// depth = max iterative-deepening depth, timeMs = search budget,
+// noise = random centipawns added at the root so weak levels blunder
+const LEVELS = {
+    1: { depth: 1, timeMs: 200, noise: 200, quiescence: false },
+    2: { depth: 2, timeMs: 400, noise: 80, quiescence: false },
+    3: { depth: 3, timeMs: 800, noise: 25, quiescence: true },
+    4: { depth: 4, timeMs: 1500, noise: 0, quiescence: true },
+    5: { depth: 6, timeMs: 2500, noise: 0, quiescence: true }
+};
+
+class SearchTimeout extends Error {}
+
+// Static score in centipawns from the side to move's point of view
+function evaluate(chess) {
+    const board = chess.board();
+    let score = 0;
+    for(let r = 0; r < 8; r++) {
+        for(let f = 0; f < 8; f++) {
+            const sq = board[r][f];
+            if(!sq) continue;
+            // Mirror the rank for black so both sides share the white tables
+            const idx = sq.color === 'w' ? r * 8 + f : (7 - r) * 8 + f;
+            const v = PIECE_VALUES[sq.type] + PST[sq.type][idx];
+            score += sq.color === 'w' ? v : -v;
+        }
+    }
+    return chess.turn() === 'w' ? score : -score;
+}
+
+// MVV-LVA: try the most valuable captures by the cheapest pieces first
+function orderMoves(moves, firstSan) {
+    return moves.sort((a, b) => {
+        if(a.san === firstSan) return -1;
+        if(b.san === firstSan) return 1;
+        const sa = (a.captured ? 10 * PIECE_VALUES[a.captured] - PIECE_VALUES[a.piece] : 0) + (a.promotion ? PIECE_VALUES[a.promotion] : 0);
+        const sb = (b.captured ? 10 * PIECE_VALUES[b.captured] - PIECE_VALUES[b.piece] : 0) + (b.promotion ? PIECE_VALUES[b.promotion] : 0);
+        return sb - sa;
+    });
+}
+
+function checkTime(ctx) {
+    if((++ctx.nodes & 127) === 0 && Date.now() > ctx.deadline) throw new SearchTimeout();
+}
+
+function quiesce(chess, alpha, beta, ctx, qDepth) {
+    checkTime(ctx);
+    const standPat = evaluate(chess);
+    if(standPat >= beta) return beta;
+    if(standPat > alpha) alpha = standPat;
+    if(qDepth <= 0) return alpha;
+
+    const captures = orderMoves(chess.moves({ verbose: true }).filter(m => m.captured));
+    for(const m of captures) {
+        chess.move(m.san);
+        const score = -quiesce(chess, -beta, -alpha, ctx, qDepth - 1);
+        chess.undo();
+        if(score >= beta) return beta;
+        if(score > alpha) alpha = score;
+    }
+    return alpha;
+}
+
+function negamax(chess, depth, alpha, beta, ply, ctx) {
+    checkTime(ctx);
+    if(chess.isCheckmate()) return -MATE_SCORE + ply;
+    if(chess.isDraw()) return 0;
+    if(depth === 0) return ctx.quiescence ? quiesce(chess, alpha, beta, ctx, 4) : evaluate(chess);
+
+    let best = -Infinity;
+    for(const m of orderMoves(chess.moves({ verbose: true }))) {
+        chess.move(m.san);
+        const score = -negamax(chess, depth - 1, -beta, -alpha, ply + 1, ctx);
+        chess.undo();
+        if(score > best) best = score;
+        if(score > alpha) alpha = score;
+        if(alpha >= beta) break;
+    }
+    return best;
+}
+
+function searchRoot(chess, depth, rootMoves, ctx, noise) {
+    let bestMove = null;
+    let bestScore = -Infinity;
+    let alpha = -Infinity;
+    for(const m of rootMoves) {
+        chess.move(m.san);
+        // Noisy levels need exact scores for every move, so they search with a full window
+        let score = -negamax(chess, depth - 1, -Infinity, noise ? Infinity : -alpha, 1, ctx);
+        chess.undo();
+        if(noise && Math.abs(score) < MATE_SCORE - 100) score += Math.floor((Math.random() * 2 - 1) * noise);
+        if(score > bestScore) { bestScore = score; bestMove = m; }
+        if(score > alpha) alpha = score;
+    }
+    return { move: bestMove, score: bestScore };
+}
+
+// Returns the SAN of the chosen move for the side to move in `fen`, or null if there is none
+function findBestMove(fen, level = 3) {
+    if(!Chess) return null;
+    const cfg = LEVELS[level] || LEVELS[3];
+    const chess = new Chess(fen);
+    const moves = chess.moves({ verbose: true });
+    if(moves.length === 0) return null;
+    if(moves.length === 1) return moves[0].san;
+
+    const ctx = { deadline: Date.now() + cfg.timeMs, nodes: 0, quiescence: cfg.quiescence };
+    let best = null;
+    for(let depth = 1; depth <= cfg.depth; depth++) {
+        try {
+            const result = searchRoot(chess, depth, orderMoves(moves, best && best.san), ctx, cfg.noise);
+            best = result.move;
+            if(Math.abs(result.score) >= MATE_SCORE - 100) break; // forced mate found
+        } catch(e) {
+            if(!(e instanceof SearchTimeout)) throw e;
+            break; // keep the last fully searched iteration
+        }
+    }
+    return (best || moves[Math.floor(Math.random() * moves.length)]).san;
+}
+
+// --- SEARCH WORKER ---
+let worker = null;
+let nextJob = 1;
+const jobs = new Map(); // job id -> { resolve, reject }
+
+function failJobs(err) {
+    jobs.forEach(job => job.reject(err));
+    jobs.clear();
+    worker = null;
+}
+
+function getWorker() {
+    if(worker) return worker;
+    worker = new Worker(__filename, { workerData: { chessEngine: true } });
+    worker.unref(); // an idle search thread shouldn't keep the process alive
+    worker.on('message', ({ id, san, error }) => {
+        const job = jobs.get(id);
+        if(!job) return;
+        jobs.delete(id);
+        if(error) job.reject(new Error(error));
+        else job.resolve(san);
+    });
+    worker.on('error', failJobs);
+    worker.on('exit', code => failJobs(new Error(`Chess engine worker exited with code ${code}`)));
+    return worker;
+}
+
+// findBestMove() off the main thread; resolves to the SAN or null
+function searchBestMove(fen, level) {
+    return new Promise((resolve, reject) => {
+        const id = nextJob++;
+        jobs.set(id, { resolve, reject });
+        getWorker().postMessage({ id, fen, level });
+    });
+}
+
+if(workerData && workerData.chessEngine) {
+    parentPort.on('message', ({ id, fen, level }) => {
+        try {
+            parentPort.postMessage({ id, san: findBestMove(fen, level) });
+        } catch(e) {
+            parentPort.postMessage({ id, error: e.message });
+        }
+    });
+}
+
+module.exports = { findBestMove, searchBestMove, evaluate, LEVELS };
@@ -0,0 +1,497 @@
+// --- CHESS ---
+// Game module (see gameRegistry.js). Positions are always rebuilt from the
+// starting FEN plus the recorded moves, so repetition draws and takebacks work.
+// settings.variant is 'standard', 'chess960' (random or chosen back rank) or
+// 'custom' (an admin-supplied FEN); Chess960 games run on the chess960.js wrapper.
+const chessEngine = require('./chessEngine');
+const chessClock = require('./chessClock');
+const chess960 = require('./chess960');
+const { Chess } = require('./chessLib');
+const { GameError } = require('./gameRegistry');
+const { ERR, checks } = require('./eventSchemas');
+const { str, obj, either, roomCode } = checks;
+
+const CLOCK_SYNC_MS = 1000;
+const VARIANTS = ['standard', 'chess960', 'custom'];
+
+// Whether `color` still has enough material to ever deliver mate on board `c`
+function hasMatingMaterial(c, color) {
+    const pieces = c.board().flat().filter(p => p && p.color === color && p.type !== 'k');
+    if(pieces.length === 0) return false;
+    if(pieces.length === 1 && (pieces[0].type === 'n' || pieces[0].type === 'b')) return false;
+    return true;
+}
+
+// Validates an admin-supplied PGN or FEN; throws on anything chess.js can't load
+function parseChessImport({ pgn, fen }) {
+    const c = new Chess();
+    if(pgn) c.loadPgn(String(pgn));
+    else c.load(String(fen).trim());
+    if(c.isGameOver()) throw new Error("Imported game is already finished");
+
+    const startFen = pgn ? (c.getHeaders().FEN || new Chess().fen()) : c.fen();
+    const history = c.history({ verbose: true }).map(m => ({ san: m.san, color: m.color, clock: null, at: null }));
+    return { startFen, history };
+}
+
+// Start for a Chess960 game: an admin FEN (Shredder or X-FEN castling), position `n`, or a random one
+function parseChess960Start({ pgn, fen, chess960Position }) {
+    if(pgn) throw new Error("PGN import isn't supported for Chess960, use a FEN");
+    if(fen) {
+        const c = new chess960.Chess960(fen);
+        if(c.isGameOver()) throw new Error("Imported game is already finished");
+        return { startFen: c.fen(), history: [], position: null };
+    }
+    const n = parseInt(chess960Position);
+    const position = n >= 0 && n < chess960.POSITIONS ? n : chess960.randomPosition();
+    return { startFen: chess960.startFen(position), history: [], position };
+}
+
+// Empty board of the game's variant at its starting FEN
+function newBoard(gameData) {
+    return gameData.variant === 'chess960' ? new chess960.Chess960(gameData.startFen) : new Chess(gameData.startFen);
+}
+
+// Rebuilds the current position from the starting FEN and recorded moves
+function replayChessGame(room) {
+    const c = newBoard(room.gameData);
+    room.gameData.history.forEach(h => c.move(h.san));
+    return c;
+}
+
+function getChessColor(room, userId) {
+    const players = room.gameData.players || {};
+    if(players.w === userId) return 'w';
+    if(players.b === userId) return 'b';
+    return null;
+}
+
+function formatPgnClock(sec) {
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor(sec % 3600 / 60);
+    const s = Math.floor(sec % 60);
+    return `${h}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
+}
+
+function buildPgn(room) {
+    const c = newBoard(room.gameData);
+    const nameOf = color => {
+        const id = room.gameData.players?.[color];
+        if(id === 'BOT') return `Bot (level ${room.settings.botLevel})`;
+        return room.users.find(u => u.id === id)?.username || "?";
+    };
+    c.setHeader('Event', room.name);
+    c.setHeader('Date', new Date().toISOString().slice(0,10).replace(/-/g, '.'));
+    c.setHeader('White', nameOf('w'));
+    c.setHeader('Black', nameOf('b'));
+    c.setHeader('Result', room.gameData.result || '*');
+    const tc = room.gameData.timeControl;
+    if(tc) c.setHeader('TimeControl', `${tc.base}+${tc.increment}`);
+    if(room.gameData.endReason) c.setHeader('Termination', room.gameData.endReason);
+    if(room.gameData.variant === 'chess960') c.setHeader('Variant', 'Chess960');
+    if(room.gameData.variant === 'chess960' || room.gameData.startFen !== new Chess().fen()) {
+        c.setHeader('SetUp', '1');
+        c.setHeader('FEN', room.gameData.startFen);
+    }
+    room.gameData.history.forEach(h => {
+        c.move(h.san);
+        if(h.clock !== null) c.setComment(`[%clk ${formatPgnClock(h.clock / 1000)}]`);
+    });
+    return c.pgn();
+}
+
+function createChessGame({ io, rooms, getPlayers, isConnected, getRoomState, startTicking, stopTicking, contestants, reportResult }) {
+
+    // `start` is an optional validated start from parseChessImport() or parseChess960Start()
+    function startChessGame(roomCode, variant, start) {
+        const room = rooms[roomCode];
+        const [p1, p2] = contestants(room);
+
+        room.state = "PLAYING";
+        room.gameData.variant = variant;
+        room.gameData.startFen = start ? start.startFen : new Chess().fen();
+        room.gameData.chess960Position = start && start.position !== undefined ? start.position : null;
+        room.gameData.history = start ? start.history : [];
+        room.gameData.result = null;
+        room.gameData.endReason = null;
+        room.gameData.drawOffer = null;
+        room.gameData.takebackRequest = null;
+        const c = replayChessGame(room);
+        room.gameData.fen = c.fen();
+        room.gameData.turn = c.turn();
+
+        const tc = chessClock.timeControlFromSettings(room.settings);
+        room.gameData.timeControl = tc;
+        room.gameData.clock = chessClock.createClock(tc, room.gameData.turn);
+        room.gameData.timers = chessClock.snapshot(room.gameData.clock);
+
+        let adminColor = room.settings.startColor === 'black' ? 'b' : 'w';
+        let oppColor = adminColor === 'w' ? 'b' : 'w';
+
+        if(room.settings.botMode || !p2) {
+            room.gameData.players = { [adminColor]: p1.id, [oppColor]: 'BOT' };
+            room.settings.botMode = true;
+        } else {
+            room.gameData.players = { [adminColor]: p1.id, [oppColor]: p2.id };
+        }
+
+        io.to(roomCode).emit('update_room', getRoomState(room));
+        const startMsg = variant === 'chess960' ? "Chess960 Game Started!" : start ? "Chess Game Started from imported position!" : "Chess Game Started!";
+        io.to(roomCode).emit('sys_msg', startMsg);
+        io.to(roomCode).emit('sfx', 'start');
+
+        // Bot moves first when it holds the side to move (e.g. the admin picked black)
+        scheduleBotMove(roomCode);
+
+        chessClock.start(room.gameData.clock);
+        startTicking(roomCode);
+    }
+
+    // The tick only samples the clock; time itself comes from monotonic timestamps
+    function tick(roomCode) {
+        const room = rooms[roomCode];
+        if(flagged(room)) return handleFlag(roomCode);
+        if(Date.now() - (room.gameData.clockSentAt || 0) >= CLOCK_SYNC_MS) emitClock(roomCode);
+    }
+
+    function emitClock(roomCode) {
+        const room = rooms[roomCode];
+        if(!room || !room.gameData.clock) return;
+        room.gameData.timers = chessClock.snapshot(room.gameData.clock);
+        room.gameData.clockSentAt = Date.now();
+        io.to(roomCode).emit('timer_sync', { ...room.gameData.timers, unit: 'ms' });
+    }
+
+    // Clock stops while a seated player is in their reconnect grace period or a takeback is pending
+    function syncClockPause(room) {
+        const clock = room.gameData.clock;
+        if(!clock || room.state !== 'PLAYING') return;
+        const seated = Object.values(room.gameData.players || {});
+        const hold = !!room.gameData.takebackRequest || seated.some(id => id !== 'BOT' && !isConnected(room, id));
+        if(hold) chessClock.pause(clock);
+        else chessClock.start(clock);
+    }
+
+    function flagged(room) {
+        syncClockPause(room);
+        return chessClock.isFlagged(room.gameData.clock);
+    }
+
+    function handleFlag(roomCode) {
+        const room = rooms[roomCode];
+        const flagged = room.gameData.clock.turn;
+        const winner = flagged === 'w' ? 'b' : 'w';
+        if(!hasMatingMaterial(replayChessGame(room), winner)) endChessGame(roomCode, 'draw', "Timeout vs insufficient material");
+        else endChessGame(roomCode, winner, "Time Out");
+    }
+
+    // Records and broadcasts a move already made on `c`, then ends the game or hands over to the bot
+    function applyMove(roomCode, c, m) {
+        const room = rooms[roomCode];
+        room.gameData.fen = c.fen();
+        room.gameData.turn = c.turn();
+        chessClock.completeMove(room.gameData.clock);
+        room.gameData.history.push({ san: m.san, color: m.color, clock: Math.round(room.gameData.clock.remaining[m.color]), at: Date.now() });
+        // A move implicitly declines any pending offer
+        room.gameData.drawOffer = null;
+        room.gameData.takebackRequest = null;
+
+        io.to(roomCode).emit('chess_move_update', { fen: room.gameData.fen, move: m, history: room.gameData.history });
+        io.to(roomCode).emit('sfx', 'pop');
+        emitClock(roomCode);
+
+        if(!checkGameOver(roomCode, c, m.color)) scheduleBotMove(roomCode);
+    }
+
+    // Ends the game if `c` is over; `moverColor` is the side that just moved
+    function checkGameOver(roomCode, c, moverColor) {
+        if(!c.isGameOver()) return false;
+        if(c.isCheckmate()) endChessGame(roomCode, moverColor, "Checkmate");
+        else if(c.isStalemate()) endChessGame(roomCode, 'draw', "Stalemate");
+        else if(c.isThreefoldRepetition()) endChessGame(roomCode, 'draw', "Threefold repetition");
+        else if(c.isInsufficientMaterial()) endChessGame(roomCode, 'draw', "Insufficient material");
+        else endChessGame(roomCode, 'draw', "Fifty-move rule");
+        return true;
+    }
+
+    function scheduleBotMove(roomCode) {
+        const room = rooms[roomCode];
+        if(!room || room.state !== 'PLAYING' || room.gameData.players[room.gameData.turn] !== 'BOT') return;
+
+        setTimeout(() => {
+            if(!rooms[roomCode] || room.state !== 'PLAYING') return;
+            const c = replayChessGame(room);
+            if(room.gameData.players[c.turn()] !== 'BOT') return;
+
+            // The engine is plain chess.js, so in Chess960 it searches without castling
+            const fen = room.gameData.fen;
+            chessEngine.searchBestMove(c.engineFen ? c.engineFen() : c.fen(), room.settings.botLevel).then(san => {
+                // The game may have moved on (ended, taken back, restarted) during the search
+                if(!san || rooms[roomCode] !== room || room.state !== 'PLAYING' || room.gameData.fen !== fen) return;
+                if(flagged(room)) return handleFlag(roomCode);
+                const board = replayChessGame(room);
+                applyMove(roomCode, board, board.move(san));
+            }).catch(e => console.log(`Bot move failed in ${roomCode}: ${e.message}`));
+        }, 300);
+    }
+
+    // Plies to undo so it's `color`'s move again: their last move, plus the reply after it
+    function takebackPlies(history, color) {
+        return history.length && history[history.length - 1].color === color ? 1 : 2;
+    }
+
+    // Undoes the requester's last move (and the reply after it, if any); the request is cleared either way
+    function applyTakeback(roomCode, color) {
+        const room = rooms[roomCode];
+        const history = room.gameData.history;
+        const plies = takebackPlies(history, color);
+        room.gameData.takebackRequest = null;
+        if(history.length < plies) {
+            syncClockPause(room);
+            emitClock(roomCode);
+            return false;
+        }
+
+        history.splice(history.length - plies, plies);
+        room.gameData.drawOffer = null;
+        const c = replayChessGame(room);
+        room.gameData.fen = c.fen();
+        room.gameData.turn = c.turn();
+        chessClock.setTurn(room.gameData.clock, c.turn());
+        syncClockPause(room);
+
+        io.to(roomCode).emit('chess_move_update', { fen: room.gameData.fen, move: null, history, takeback: true });
+        emitClock(roomCode);
+        io.to(roomCode).emit('sys_msg', "Move taken back.");
+        io.to(roomCode).emit('update_room', getRoomState(room));
+        return true;
+    }
+
+    // `winnerColor` is 'w', 'b', 'draw', or null for a game stopped without a result
+    function endChessGame(roomCode, winnerColor, reason) {
+        const room = rooms[roomCode];
+        if(!room) return;
+        stopTicking(roomCode);
+        if(room.gameData.clock) {
+            chessClock.pause(room.gameData.clock);
+            room.gameData.timers = chessClock.snapshot(room.gameData.clock);
+        }
+        room.state = "GAME_OVER";
+        room.gameData.result = !winnerColor ? '*' : winnerColor === 'draw' ? '1/2-1/2' : (winnerColor === 'w' ? '1-0' : '0-1');
+        room.gameData.endReason = reason;
+        room.gameData.drawOffer = null;
+        room.gameData.takebackRequest = null;
+
+        let winnerName = "Bot";
+        if(winnerColor === 'draw') winnerName = "Draw";
+        else if(winnerColor) {
+            const wid = room.gameData.players[winnerColor];
+            const u = room.users.find(u => u.id === wid);
+            if(u) {
+                u.score += 100;
+                winnerName = u.username;
+            }
+        }
+
+        io.to(roomCode).emit('game_over_alert', {
+            title: "CHECKMATE / END",
+            msg: !winnerColor ? `Game ended (${reason})` : winnerColor === 'draw' ? `Draw (${reason})` : `${winnerName} Won! (${reason})`,
+            leaderboard: getPlayers(room),
+            result: room.gameData.result,
+            variant: room.gameData.variant,
+            startFen: room.gameData.startFen,
+            pgn: buildPgn(room)
+        });
+        io.to(roomCode).emit('update_room', getRoomState(room));
+        if(winnerColor) reportResult(roomCode, winnerColor === 'draw' ? 'draw' : room.gameData.players[winnerColor]);
+    }
+
+    // Seated colour of the sender, or a refusal for onlookers
+    function colorOf(room, userId) {
+        const color = getChessColor(room, userId);
+        if(!color) throw new GameError("You are not playing in this game", ERR.FORBIDDEN);
+        return color;
+    }
+
+    // --- ACTIONS ---
+    const playing = { fields: { roomCode }, access: 'player', phase: ['PLAYING'] };
+    const seated = { fields: { roomCode }, access: 'player' };
+
+    const actions = {
+        move: { event: 'chess_move', ...playing, fields: { roomCode, move: either(str(10), obj()) }, handle(code, userId, { move }) {
+            const room = rooms[code];
+            if(room.gameData.players[room.gameData.turn] !== userId) throw new GameError("It's not your turn", ERR.FORBIDDEN);
+            // A move that lands after the flag fell, before the next tick noticed, loses on time
+            if(flagged(room)) return handleFlag(code);
+
+            // Replay from the start so repetition draws are detected
+            const c = replayChessGame(room);
+            let m = null;
+            try { m = c.move(move); } catch(e) {}
+            if(!m) throw new GameError("Illegal move");
+            applyMove(code, c, m);
+        } },
+
+        resign: { event: 'chess_resign', ...playing, handle(code, userId) {
+            const color = colorOf(rooms[code], userId);
+            endChessGame(code, color === 'w' ? 'b' : 'w', `${color === 'w' ? 'White' : 'Black'} resigned`);
+        } },
+
+        offer_draw: { event: 'chess_offer_draw', ...playing, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            if(room.gameData.drawOffer) return;
+
+            const oppColor = color === 'w' ? 'b' : 'w';
+            if(room.gameData.players[oppColor] === 'BOT') {
+                // The bot takes a draw only when it stands worse
+                const c = replayChessGame(room);
+                const botEval = chessEngine.evaluate(c) * (c.turn() === oppColor ? 1 : -1);
+                if(botEval < -150) return endChessGame(code, 'draw', "Draw by agreement");
+                return io.to(code).emit('sys_msg', "Bot declined the draw.");
+            }
+            room.gameData.drawOffer = color;
+            io.to(code).emit('chess_draw_offered', { by: color });
+            io.to(code).emit('sys_msg', `${color === 'w' ? 'White' : 'Black'} offers a draw.`);
+        } },
+
+        accept_draw: { event: 'chess_accept_draw', ...playing, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            if(!room.gameData.drawOffer || room.gameData.drawOffer === color) return;
+            endChessGame(code, 'draw', "Draw by agreement");
+        } },
+
+        decline_draw: { event: 'chess_decline_draw', ...seated, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            if(!room.gameData.drawOffer || room.gameData.drawOffer === color) return;
+            room.gameData.drawOffer = null;
+            io.to(code).emit('sys_msg', "Draw offer declined.");
+        } },
+
+        takeback_request: { event: 'chess_takeback_request', ...playing, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            if(room.gameData.takebackRequest) return;
+            if(room.gameData.history.length < takebackPlies(room.gameData.history, color)) throw new GameError("You have no move to take back");
+
+            const oppColor = color === 'w' ? 'b' : 'w';
+            if(room.gameData.players[oppColor] === 'BOT') {
+                applyTakeback(code, color);
+                return;
+            }
+            room.gameData.takebackRequest = { by: color, at: Date.now() };
+            syncClockPause(room);
+            io.to(code).emit('chess_takeback_requested', { by: color });
+            emitClock(code);
+        } },
+
+        takeback_accept: { event: 'chess_takeback_accept', ...playing, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            const req = room.gameData.takebackRequest;
+            if(!req || req.by === color) return;
+            applyTakeback(code, req.by);
+        } },
+
+        takeback_decline: { event: 'chess_takeback_decline', ...seated, handle(code, userId) {
+            const room = rooms[code];
+            const color = colorOf(room, userId);
+            const req = room.gameData.takebackRequest;
+            if(!req || req.by === color) return;
+            room.gameData.takebackRequest = null;
+            syncClockPause(room);
+            io.to(code).emit('sys_msg', "Takeback declined.");
+            emitClock(code);
+        } },
+
+        export_pgn: { event: 'chess_export_pgn', fields: { roomCode }, access: 'member', handle(code, userId, data, socket) {
+            const room = rooms[code];
+            if(!room.gameData.startFen) throw new GameError("No game to export yet", ERR.NOT_FOUND);
+            socket.emit('chess_pgn', { pgn: buildPgn(room) });
+        } }
+    };
+
+    return {
+        type: 'chess',
+        maxPlayers: 2,
+        tickMs: 250,
+        actions,
+        tick,
+
+        defaultSettings: () => ({ chessTheme: 'wikipedia', startColor: 'white', botLevel: 3, variant: 'standard' }),
+
+        parseSettings(raw, settings) {
+            // Imports and fixed start positions are one-shot and handled by start(), not kept as room settings
+            delete settings.pgn;
+            delete settings.fen;
+            delete settings.chess960Position;
+            settings.variant = VARIANTS.includes(raw.variant) ? raw.variant : 'standard';
+            settings.botLevel = Math.min(5, Math.max(1, parseInt(raw.botLevel) || 3));
+        },
+
+        initialData: () => ({ fen: Chess ? new Chess().fen() : null, variant: 'standard', round: 1, turn: 'w', timers: {w:600000, b:600000}, players: {} }),
+
+        start(code, raw) {
+            if(!Chess) throw new GameError("Chess is not available on this server");
+            if(!getPlayers(rooms[code])[0]) throw new GameError("Need at least one player to start.", ERR.NOT_ENOUGH_PLAYERS);
+            const variant = VARIANTS.includes(raw.variant) ? raw.variant : 'standard';
+            if(variant === 'custom' && !raw.pgn && !raw.fen) throw new GameError("A custom start needs a FEN or PGN");
+            let start;
+            try {
+                if(variant === 'chess960') start = parseChess960Start(raw);
+                else if(raw.pgn || raw.fen) start = parseChessImport(raw);
+            } catch(e) { throw new GameError(`Invalid PGN/FEN: ${e.message}`); }
+            // A standard game imported from a set-up position is recorded as custom
+            const recorded = variant === 'standard' && start && start.startFen !== new Chess().fen() ? 'custom' : variant;
+            startChessGame(code, recorded, start);
+        },
+
+        end(code, reason) {
+            endChessGame(code, null, reason);
+        },
+
+        resume(code) {
+            if(rooms[code].state !== 'PLAYING') return;
+            startTicking(code);
+            scheduleBotMove(code);
+        },
+
+        publicState(room) {
+            const data = { ...room.gameData };
+            delete data.clock; // Internal monotonic clock; clients get gameData.timers
+            return data;
+        },
+
+        syncClient(socket, code) {
+            const room = rooms[code];
+            if(room.state !== 'PLAYING') return;
+            socket.emit('chess_move_update', { fen: room.gameData.fen, move: null, history: room.gameData.history });
+            socket.emit('timer_sync', { ...chessClock.snapshot(room.gameData.clock), unit: 'ms' });
+        },
+
+        // Seated players dropping or coming back pause and restart the clock
+        onPresence(code) {
+            syncClockPause(rooms[code]);
+            emitClock(code);
+        },
+
+        serialize(data) {
+            if(data.clock) data.clock = chessClock.freeze(data.clock);
+            return data;
+        },
+
+        routes(app) {
+            app.get('/rooms/:code/pgn', (req, res) => {
+                const room = rooms[req.params.code];
+                if(!room || room.gameType !== 'chess' || !room.gameData.startFen) return res.status(404).send("No chess game in this room");
+                res.type('application/x-chess-pgn');
+                res.attachment(`room-${req.params.code}.pgn`);
+                res.send(buildPgn(room));
+            });
+        }
+    };
+}
+
+module.exports = { createChessGame };
@@ -0,0 +1,10 @@
+// --- CHESS.JS ---
+// The one place chess.js is loaded. It's optional: without it chess rooms can't
+// start and everything else runs, so Chess is null when it isn't installed.
+let Chess = null;
+try {
+    const chessLib = require('chess.js');
+    Chess = chessLib.Chess || chessLib;
+} catch (e) { console.log("Chess.js not found. Run: npm install chess.js"); }
+
+module.exports = { Chess };
@@ -0,0 +1,135 @@
+// --- CONNECT FOUR ENGINE ---
+// 7x6 board as a flat array, index = row * COLS + col with row 0 at the top.
+// Discs fall to the lowest free row of a column. The bot is a depth-limited
+// negamax with alpha-beta over a window-counting evaluation.
+const COLS = 7;
+const ROWS = 6;
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]]; // [dRow, dCol]
+
+// Search depth per level; easy also plays a random column some of the time
+const DIFFICULTY = {
+    easy: { depth: 2, accuracy: 0.5 },
+    medium: { depth: 4, accuracy: 0.9 },
+    hard: { depth: 7, accuracy: 1 }
+};
+
+// Centre columns first so alpha-beta prunes early
+const COLUMN_ORDER = [3, 2, 4, 1, 5, 0, 6];
+const WIN_SCORE = 1000000;
+
+function createBoard() {
+    return Array(COLS * ROWS).fill(null);
+}
+
+function other(disc) {
+    return disc === 'R' ? 'Y' : 'R';
+}
+
+// Index a disc dropped in `col` lands on, or -1 when the column is full
+function dropIndex(board, col) {
+    for(let row = ROWS - 1; row >= 0; row--) {
+        if(board[row * COLS + col] === null) return row * COLS + col;
+    }
+    return -1;
+}
+
+function freeColumns(board) {
+    const cols = [];
+    for(let col = 0; col < COLS; col++) if(board[col] === null) cols.push(col);
+    return cols;
+}
+
+// The four-in-a-row through `index`, as cell indexes, or null
+function lineThrough(board, index) {
+    const disc = board[index];
+    if(!disc) return null;
+    const row = Math.floor(index / COLS), col = index % COLS;
+    for(const [dr, dc] of DIRECTIONS) {
+        const line = [index];
+        for(const sign of [1, -1]) {
+            let r = row + dr * sign, c = col + dc * sign;
+            while(r >= 0 && r < ROWS && c >= 0 && c < COLS && board[r * COLS + c] === disc) {
+                line.push(r * COLS + c);
+                r += dr * sign; c += dc * sign;
+            }
+        }
+        if(line.length >= 4) return line.sort((a, b) => a - b);
+    }
+    return null;
+}
+
+// Scores every run of four cells that only one side occupies
+function evaluate(board, me) {
+    const opp = other(me);
+    let score = 0;
+    for(let row = 0; row < ROWS; row++) {
+        if(board[row * COLS + 3] === me) score += 3;
+        else if(board[row * COLS + 3] === opp) score -= 3;
+    }
+    for(let row = 0; row < ROWS; row++) {
+        for(let col = 0; col < COLS; col++) {
+            for(const [dr, dc] of DIRECTIONS) {
+                const endR = row + dr * 3, endC = col + dc * 3;
+                if(endR < 0 || endR >= ROWS || endC < 0 || endC >= COLS) continue;
+                let mine = 0, theirs = 0;
+                for(let k = 0; k < 4; k++) {
+                    const v = board[(row + dr * k) * COLS + col + dc * k];
+                    if(v === me) mine++;
+                    else if(v === opp) theirs++;
+                }
+                if(mine && theirs) continue;
+                if(mine === 3) score += 5;
+                else if(mine === 2) score += 2;
+                else if(theirs === 3) score -= 4;
+                else if(theirs === 2) score -= 1;
+            }
+        }
+    }
+    return score;
+}
+
+// Score from `toMove`'s point of view; quicker wins score higher
+function negamax(board, toMove, depth, alpha, beta) {
+    const cols = COLUMN_ORDER.filter(c => board[c] === null);
+    if(cols.length === 0) return 0;
+    if(depth === 0) return evaluate(board, toMove);
+
+    let best = -Infinity;
+    for(const col of cols) {
+        const i = dropIndex(board, col);
+        board[i] = toMove;
+        const score = lineThrough(board, i) ? WIN_SCORE + depth : -negamax(board, other(toMove), depth - 1, -beta, -alpha);
+        board[i] = null;
+        if(score > best) best = score;
+        if(best > alpha) alpha = best;
+        if(alpha >= beta) break;
+    }
+    return best;
+}
+
+function bestColumn(board, disc, depth) {
+    let bestScore = -Infinity;
+    let moves = [];
+    for(const col of COLUMN_ORDER) {
+        const i = dropIndex(board, col);
+        if(i === -1) continue;
+        board[i] = disc;
+        const score = lineThrough(board, i) ? WIN_SCORE + depth : -negamax(board, other(disc), depth - 1, -Infinity, Infinity);
+        board[i] = null;
+        if(score > bestScore) { bestScore = score; moves = [col]; }
+        else if(score === bestScore) moves.push(col);
+    }
+    return moves[Math.floor(Math.random() * moves.length)];
+}
+
+// Column (0-6) the bot playing `disc` should drop into, or -1 when the board is full
+function pickMove(board, disc, difficulty = 'medium') {
+    const free = freeColumns(board);
+    if(free.length === 0) return -1;
+
+    const level = DIFFICULTY[difficulty] || DIFFICULTY.medium;
+    if(Math.random() >= level.accuracy) return free[Math.floor(Math.random() * free.length)];
+    return bestColumn(board.slice(), disc, level.depth);
+}
+
+module.exports = { COLS, ROWS, DIFFICULTY, createBoard, dropIndex, freeColumns, lineThrough, pickMove };
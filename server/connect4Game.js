@@ -0,0 +1,94 @@
+// --- CONNECT FOUR ---
+// Game module (see gameRegistry.js). Turn timer, bot, round restarts and the
+// tally come from turnGame.js. Red and yellow discs are 'R' and 'Y'.
+const connect4Engine = require('./connect4Engine');
+const { createTurnGame } = require('./turnGame');
+const { GameError } = require('./gameRegistry');
+const { ERR, checks } = require('./eventSchemas');
+const { int, roomCode } = checks;
+
+function createConnect4Game(host) {
+    const { io, rooms } = host;
+
+    const turns = createTurnGame(host, {
+        title: "Connect Four",
+        sides: ['R', 'Y'],
+        startSide: room => room.settings.startDisc === 'Y' ? 'Y' : 'R',
+        resetBoard(room) { room.gameData.board = connect4Engine.createBoard(); },
+        turnMsg,
+        pickBotMove: (room, disc) => connect4Engine.pickMove(room.gameData.board, disc, room.settings.connect4Difficulty),
+        applyMove
+    });
+
+    function turnMsg(room) {
+        return `${room.gameData.turn === 'R' ? 'Red' : 'Yellow'}'s Turn`;
+    }
+
+    // Drops `disc` into `column`, for players and the bot alike
+    function applyMove(roomCode, column, disc) {
+        const room = rooms[roomCode];
+        if(!room) return;
+        const index = connect4Engine.dropIndex(room.gameData.board, column);
+        if(index === -1) return;
+
+        room.gameData.board[index] = disc;
+        const line = connect4Engine.lineThrough(room.gameData.board, index);
+        const full = room.gameData.board.every(v => v !== null);
+        io.to(roomCode).emit('connect4_update', { board: room.gameData.board, column, index, disc, line });
+        io.to(roomCode).emit('sfx', 'pop');
+
+        if(line || full) {
+            const win = line ? disc : 'draw';
+            room.gameData.winLine = line;
+            turns.finishRound(roomCode, win, winner => ({
+                msg: win === 'draw' ? "Board full, it's a draw!" : `${winner} connects four!`,
+                winner: win,
+                line
+            }));
+        } else {
+            turns.nextTurn(roomCode, disc);
+        }
+    }
+
+    const actions = {
+        drop: { event: 'connect4_move', fields: { roomCode, column: int(0, connect4Engine.COLS - 1) }, access: 'player', phase: ['PLAYING'], handle(code, userId, { column }) {
+            const room = rooms[code];
+            const disc = room.gameData.turn;
+            if(room.gameData.players[disc] !== userId) throw new GameError("It's not your turn", ERR.FORBIDDEN);
+            if(connect4Engine.dropIndex(room.gameData.board, column) === -1) throw new GameError("That column is full");
+            applyMove(code, column, disc);
+        } }
+    };
+
+    return {
+        type: 'connect4',
+        maxPlayers: 2,
+        tickMs: 1000,
+        actions,
+        tick: turns.tick,
+
+        defaultSettings: () => ({ startDisc: 'R', connect4Difficulty: 'medium' }),
+
+        parseSettings(raw, settings) {
+            settings.startDisc = raw.startDisc === 'Y' ? 'Y' : 'R';
+            settings.connect4Difficulty = connect4Engine.DIFFICULTY[raw.connect4Difficulty] ? raw.connect4Difficulty : 'medium';
+        },
+
+        initialData: () => ({ board: connect4Engine.createBoard(), cols: connect4Engine.COLS, rows: connect4Engine.ROWS, turn: 'R', round: 1, tally: { R: 0, Y: 0, draw: 0 } }),
+
+        start: turns.start,
+        end: turns.end,
+        resume: turns.resume,
+
+        publicState: room => ({ ...room.gameData }),
+
+        syncClient(socket, code) {
+            const room = rooms[code];
+            if(room.state !== 'PLAYING') return;
+            socket.emit('connect4_update', { board: room.gameData.board, column: null, index: null, disc: null, line: null });
+            socket.emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: turnMsg(room) });
+        }
+    };
+}
+
+module.exports = { createConnect4Game };
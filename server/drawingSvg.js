@@ -0,0 +1,52 @@
+// --- DRAWING SVG ---
+// Renders a finished scribble canvas (see canvasModel.js) to a standalone SVG.
+// Flood fills depend on the rasterised pixels around them, so they are skipped.
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+function esc(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function num(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function renderObject(o) {
+    const color = esc(o.color || '#000000');
+    const stroke = `stroke="${color}" stroke-width="${num(o.width || 4)}" stroke-linecap="round" stroke-linejoin="round"`;
+    switch(o.op) {
+        case 'stroke': {
+            if(!o.points || o.points.length === 0) return '';
+            if(o.points.length === 1) {
+                const p = o.points[0];
+                return `<circle cx="${num(p.x)}" cy="${num(p.y)}" r="${num((o.width || 4) / 2)}" fill="${color}"/>`;
+            }
+            const d = o.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`).join(' ');
+            return `<path d="${d}" fill="none" ${stroke}/>`;
+        }
+        case 'line':
+            return `<line x1="${num(o.x1)}" y1="${num(o.y1)}" x2="${num(o.x2)}" y2="${num(o.y2)}" ${stroke}/>`;
+        case 'rect': {
+            // Negative sizes come from dragging up/left
+            const x = Math.min(o.x, o.x + o.w), y = Math.min(o.y, o.y + o.h);
+            return `<rect x="${num(x)}" y="${num(y)}" width="${num(Math.abs(o.w))}" height="${num(Math.abs(o.h))}" fill="${o.filled ? color : 'none'}" ${stroke}/>`;
+        }
+        case 'ellipse':
+            return `<ellipse cx="${num(o.x + o.w / 2)}" cy="${num(o.y + o.h / 2)}" rx="${num(Math.abs(o.w) / 2)}" ry="${num(Math.abs(o.h) / 2)}" fill="${o.filled ? color : 'none'}" ${stroke}/>`;
+        case 'text':
+            return `<text x="${num(o.x)}" y="${num(o.y)}" font-size="${num(o.size || 24)}" font-family="sans-serif" fill="${color}">${esc(o.text)}</text>`;
+        default:
+            return '';
+    }
+}
+
+function renderSvg(objects, { title, width = CANVAS_WIDTH, height = CANVAS_HEIGHT } = {}) {
+    const body = objects.map(renderObject).filter(Boolean).join('\n  ');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+        (title ? `  <title>${esc(title)}</title>\n` : '') +
+        `  <rect width="100%" height="100%" fill="#ffffff"/>\n` +
+        `  ${body}\n</svg>\n`;
+}
+
+module.exports = { renderSvg, CANVAS_WIDTH, CANVAS_HEIGHT };
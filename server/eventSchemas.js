@@ -0,0 +1,89 @@
+// --- EVENT SCHEMAS ---
+// One entry per client event: the payload shape, who may send it and when.
+//   fields  { name: check }      every check must pass; unknown keys are ignored
+//   room    true                 payload.roomCode must name an existing room
+//   access  'member' | 'player' | 'spectator' | 'drawer' | 'admin'
+//   game    gameType the room must be running
+//   phase   room states in which the event is accepted
+// index.js applies the membership/phase rules; this file only knows shapes.
+// Game-specific events live with their game module as `actions` (see gameRegistry.js).
+const { hasGame } = require('./gameRegistry');
+
+const ERR = {
+    BAD_PAYLOAD: 'bad_payload',
+    ROOM_NOT_FOUND: 'room_not_found',
+    NOT_IN_ROOM: 'not_in_room',
+    FORBIDDEN: 'forbidden',
+    WRONG_GAME: 'wrong_game',
+    WRONG_PHASE: 'wrong_phase',
+    ROOM_FULL: 'room_full',
+    NO_SEATS: 'no_seats',
+    NOT_FOUND: 'not_found',
+    BANNED: 'banned',
+    WRONG_PASSWORD: 'wrong_password',
+    NOT_ENOUGH_PLAYERS: 'not_enough_players'
+};
+
+// --- CHECKS ---
+const str = (max, pattern) => v => typeof v === 'string' && v.trim().length > 0 && v.length <= max && (!pattern || pattern.test(v));
+const int = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+const num = () => v => typeof v === 'number' && Number.isFinite(v);
+const bool = () => v => typeof v === 'boolean';
+const obj = () => v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const arr = (max) => v => Array.isArray(v) && v.length <= max;
+const oneOf = (...values) => v => values.includes(v);
+const either = (...checks) => v => checks.some(c => c(v));
+const opt = check => v => v === undefined || v === null || check(v);
+
+const roomCode = str(12, /^[A-Za-z0-9]+$/);
+const username = str(32);
+const avatar = opt(str(500));
+const userId = str(40);
+const password = opt(str(64));
+const profileKey = opt(str(64, /^[a-f0-9]+$/));
+const visibility = opt(oneOf('public', 'private'));
+const gameType = v => typeof v === 'string' && hasGame(v);
+
+const EVENTS = {
+    create_room:            { fields: { username, avatar, gameType, visibility, password, tournament: opt(oneOf('round_robin', 'elimination')) } },
+    join_room:              { fields: { roomCode, username, avatar, spectate: opt(bool()), password, profileKey }, room: true },
+    set_room_access:        { fields: { roomCode, visibility, password: opt(either(str(64), oneOf(''))) }, access: 'admin' },
+    lobby_subscribe:        { fields: {} },
+    lobby_unsubscribe:      { fields: {} },
+    queue_join:             { fields: { gameType, username, avatar, profileKey } },
+    queue_leave:            { fields: {} },
+    resume_session:         { fields: { token: opt(str(64)) } },
+    switch_role:            { fields: { roomCode, role: oneOf('player', 'spectator') }, access: 'member' },
+    spectator_chat_send:    { fields: { roomCode, text: str(200) }, access: 'spectator' },
+    start_game:             { fields: { roomCode, settings: opt(obj()) }, access: 'admin' },
+
+    game_action:            { fields: { roomCode, action: str(40) }, room: true },
+    end_game:               { fields: { roomCode }, access: 'admin' },
+
+    chat_send:              { fields: { roomCode, text: str(200) }, access: 'member' },
+    send_reaction:          { fields: { roomCode, emoji: str(16) }, access: 'member' },
+
+    kick_user:              { fields: { roomCode, userId }, access: 'admin' },
+    ban_user:               { fields: { roomCode, userId }, access: 'admin' },
+    unban_user:             { fields: { roomCode, userId }, access: 'admin' },
+    mute_user:              { fields: { roomCode, userId, muted: opt(bool()) }, access: 'admin' },
+    transfer_admin:         { fields: { roomCode, userId }, access: 'admin' },
+    vote_kick:              { fields: { roomCode, userId }, access: 'player' }
+};
+
+// Returns the name of the first bad field, '' for a non-object payload, or null when valid
+function invalidField(spec, data) {
+    if(data !== undefined && !obj()(data)) return '';
+    const payload = data || {};
+    for(const name in spec.fields) {
+        if(!spec.fields[name](payload[name])) return name;
+    }
+    return null;
+}
+
+module.exports = {
+    ERR,
+    EVENTS,
+    checks: { str, int, num, bool, obj, arr, oneOf, either, opt, roomCode },
+    invalidField
+};
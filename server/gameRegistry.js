@@ -0,0 +1,68 @@
+// --- GAME REGISTRY ---
+// Every room game type is a module built by a factory that receives the host
+// context from index.js ({ io, rooms, getPlayers, isConnected, getRoomState,
+// spectatorChannel, startTicking, stopTicking, contestants, reportResult, reportTurn,
+// reportStandings }) and returns:
+//   type, maxPlayers, tickMs
+//   defaultSettings()                  merged into room.settings when a room is created
+//   parseSettings(raw, settings)       per-game settings schema: cleans `raw` into `settings`
+//   initialData()                      fresh room.gameData
+//   start(roomCode, raw)               starts a game from the admin's raw settings
+//   actions                            { name: { event?, fields, room?, access?, phase?, handle(roomCode, userId, data, socket) } }
+//   tick(roomCode)                     runs every tickMs while startTicking() has the room armed
+//   resume(roomCode)                   re-arms ticking and bots after a restart
+//   publicState(room)                  copy of gameData that every client may see
+//   syncClient(socket, roomCode, userId)  replays the state this one user should see
+//   end(roomCode, reason)              stops a running game early
+// Optional: onChat(roomCode, user, text, socket) -> true when consumed,
+//   onLeave(roomCode, userId), onPresence(roomCode), onDisconnect(socket),
+//   serialize(gameData) -> gameData, restore(gameData, shiftMs), routes(app).
+// Head-to-head games seat contestants(room) rather than the first two players and
+// call reportResult(roomCode, winnerId | 'draw') when a game is decided; it returns
+// true when a running tournament (tournament.js) takes over from there. Scribble
+// calls reportTurn(roomCode, turnScores) and reportStandings(roomCode, ranked users)
+// so player profiles (profiles.js) keep its stats.
+// Action specs use the same shape as eventSchemas.js; `event` keeps an older
+// per-game socket event name working next to `game_action`. Handlers and start()
+// refuse a request by throwing GameError.
+class GameError extends Error {
+    constructor(message, code = 'bad_payload') { // an eventSchemas.js ERR code
+        super(message);
+        this.code = code;
+    }
+}
+
+const games = {};
+
+// Actions only ever apply to rooms of their own game type
+function register(game) {
+    for(const name in game.actions) game.actions[name] = { ...game.actions[name], game: game.type };
+    games[game.type] = game;
+    return game;
+}
+
+function getGame(type) {
+    return games[type] || null;
+}
+
+function hasGame(type) {
+    return Object.prototype.hasOwnProperty.call(games, type);
+}
+
+// Two-seat games: matchmaking pairs them by rating and tournaments run them
+function isHeadToHead(type) {
+    return hasGame(type) && games[type].maxPlayers === 2;
+}
+
+function listGames() {
+    return Object.values(games);
+}
+
+module.exports = {
+    GameError,
+    register,
+    getGame,
+    hasGame,
+    isHeadToHead,
+    listGames
+};
@@ -0,0 +1,91 @@
+// --- GUESS MATCHING ---
+// Guesses and words are compared after folding case, accents, punctuation and
+// spacing, so "Ice-Cream", "ice cream" and "icecream" are the same guess. Each
+// word also accepts its pack aliases and simple plurals (+s, +es, y -> ies).
+const MAX_CLOSE_DISTANCE = 3;
+
+function normalize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function compact(text) {
+    return normalize(text).replace(/ /g, '');
+}
+
+function plurals(form) {
+    const out = [form + 's', form + 'es'];
+    if(/[^aeiou]y$/.test(form)) out.push(form.slice(0, -1) + 'ies');
+    return out;
+}
+
+// Every compact spelling that counts as the word
+function acceptedForms(word, aliases = []) {
+    const forms = new Set();
+    [word, ...aliases].map(compact).filter(Boolean).forEach(f => {
+        forms.add(f);
+        plurals(f).forEach(p => forms.add(p));
+    });
+    return forms;
+}
+
+// Allowed edit distance for a "close" hint; short words get none or one
+function closeThreshold(length) {
+    if(length <= 3) return 0;
+    if(length <= 6) return 1;
+    if(length <= 10) return 2;
+    return MAX_CLOSE_DISTANCE;
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+    if(a.length === 0) return b.length;
+    if(b.length === 0) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for(let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for(let j = 1; j <= b.length; j++) {
+            row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] : 1 + Math.min(prev[j - 1], prev[j], row[j - 1]);
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// True when any run of words in `text` spells the word, e.g. "is it a duck?"
+function containsWord(text, word, aliases = []) {
+    const forms = acceptedForms(word, aliases);
+    const tokens = normalize(text).split(' ').filter(Boolean);
+    const longest = Math.max(...[word, ...aliases].map(w => normalize(w).split(' ').length)) + 1;
+    for(let i = 0; i < tokens.length; i++) {
+        for(let n = 1; n <= longest && i + n <= tokens.length; n++) {
+            if(forms.has(tokens.slice(i, i + n).join(''))) return true;
+        }
+    }
+    return false;
+}
+
+// 'correct', 'close' or null
+function matchGuess(text, word, aliases = []) {
+    if(!word) return null;
+    if(containsWord(text, word, aliases)) return 'correct';
+    const guess = compact(text);
+    const target = compact(word);
+    if(guess.length < 3) return null;
+    const limit = closeThreshold(target.length);
+    return limit > 0 && editDistance(guess, target) <= limit ? 'close' : null;
+}
+
+module.exports = {
+    normalize,
+    compact,
+    acceptedForms,
+    closeThreshold,
+    editDistance,
+    containsWord,
+    matchGuess
+};
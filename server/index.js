@@ -2,66 +2,34 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-
-// --- SAFE IMPORTS ---
-let Chess;
-try {
-    const chessLib = require('chess.js');
-    Chess = chessLib.Chess || chessLib;
-} catch (e) { console.log("Chess.js not found. Run: npm install chess.js"); }
-
-// --- ALGORITHM: Levenshtein Distance (For close guesses) ---
-function getEditDistance(a, b) {
-    if(a.length === 0) return b.length; 
-    if(b.length === 0) return a.length;
-    var matrix = [];
-    var i;
-    for(i = 0; i <= b.length; i++){ matrix[i] = [i]; }
-    var j;
-    for(j = 0; j <= a.length; j++){ matrix[0][j] = j; }
-    for(i = 1; i <= b.length; i++){
-        for(j = 1; j <= a.length; j++){
-            if(b.charAt(i-1) == a.charAt(j-1)){
-                matrix[i][j] = matrix[i-1][j-1];
-            } else {
-                matrix[i][j] = Math.min(matrix[i-1][j-1] + 1, Math.min(matrix[i][j-1] + 1, matrix[i-1][j] + 1));
-            }
-        }
-    }
-    return matrix[b.length][a.length];
-}
-
-// --- WORD LIST ---
-const wordList = [
-    "airplane", "alarm", "alien", "angel", "ant", "apple", "arm", "artist", 
-    "astronaut", "axe", "backpack", "balloon", "banana", "band", "bank", 
-    "battery", "beach", "bear", "bed", "bee", "bell", "bicycle", "bird", "book", 
-    "boot", "bottle", "bow", "box", "boy", "brain", "bread", "bridge", "brush", 
-    "bucket", "bus", "butterfly", "cake", "camera", "candle", "car", "carpet", 
-    "cat", "chair", "cheese", "chess", "chicken", "circle", "clock", "cloud", 
-    "coffee", "comb", "computer", "corn", "cow", "crab", "cup", "desk", 
-    "diamond", "dice", "dinosaur", "dog", "door", "dragon", "drum", "duck", 
-    "earth", "egg", "elephant", "eye", "face", "fan", "feather", "finger", 
-    "fire", "fish", "flag", "flower", "foot", "fork", "frog", "ghost", "giraffe", 
-    "glass", "glove", "glue", "goat", "gold", "grass", "guitar", "hammer", 
-    "hand", "hat", "heart", "helicopter", "helmet", "hippo", "horse", "house", 
-    "ice", "igloo", "island", "jacket", "key", "kite", "knife", "ladder", "lamp", 
-    "leaf", "leg", "lemon", "light", "line", "lion", "lips", "lock", "map", 
-    "mask", "microphone", "milk", "money", "monkey", "moon", "mouse", "mouth", 
-    "mushroom", "nail", "necklace", "needle", "net", "night", "nose", "ocean", 
-    "octopus", "onion", "orange", "owl", "pants", "paper", "park", "parrot", 
-    "pen", "pencil", "penguin", "piano", "pig", "pillow", "pizza", "planet", 
-    "plate", "pocket", "pool", "potato", "queen", "rabbit", "radio", "rain", 
-    "rainbow", "ring", "robot", "rock", "rocket", "roof", "rope", "rose", 
-    "sandwich", "school", "scissors", "screw", "sea", "shirt", "shoe", "shorts", 
-    "shovel", "slide", "smile", "snake", "snow", "sock", "spoon", "square", 
-    "stairs", "star", "stone", "sun", "sword", "table", "tank", "tea", 
-    "telephone", "telescope", "tent", "tiger", "toast", "toilet", "tomato", 
-    "tooth", "torch", "train", "tree", "triangle", "truck", "trumpet", "turtle", 
-    "umbrella", "unicorn", "vacuum", "van", "vase", "virus", "volcano", "wall", 
-    "watch", "water", "watermelon", "wave", "web", "whale", "wheel", "window", 
-    "wolf", "worm", "xylophone", "yacht", "zebra", "zero", "zipper", "zombie"
-];
+const crypto = require('crypto');
+const path = require('path');
+
+const { createRoomStore } = require('./roomStore');
+const wordPacks = require('./wordPacks');
+const eventSchemas = require('./eventSchemas');
+const gameRegistry = require('./gameRegistry');
+const { createMatchmaker } = require('./matchmaking');
+const { createScribbleGame } = require('./scribbleGame');
+const { createChessGame } = require('./chessGame');
+const { createTttGame } = require('./tttGame');
+const { createConnect4Game } = require('./connect4Game');
+const { createTournaments } = require('./tournament');
+const { createProfiles, createProfileStore } = require('./profiles');
+const { ERR } = eventSchemas;
+const { GameError, getGame } = gameRegistry;
+
+// --- WORD PACKS ---
+// Built-in packs ship with the server; uploads live next to the room store data
+const WORDPACK_DIR = path.join(__dirname, 'wordpacks');
+const UPLOADED_WORDPACK_DIR = path.join(__dirname, 'data', 'wordpacks');
+const PACK_UPLOAD_COOLDOWN_MS = 60000; // per room
+const PACK_UPLOAD_WINDOW_MS = 60 * 60 * 1000;
+const PACK_UPLOADS_PER_ADDRESS = 5; // per window, however many rooms they admin
+const MAX_UPLOADED_PACKS = 200;
+let packUploads = { since: Date.now(), byAddress: {} }; // reset every window
+wordPacks.loadPacks(WORDPACK_DIR);
+wordPacks.loadPacks(UPLOADED_WORDPACK_DIR, { builtIn: false });
 
 const app = express();
 app.use(cors());
@@ -76,19 +44,103 @@ const io = new Server(server, {
 
 const rooms = {}; 
 
-// --- HELPERS ---
-function getRandomWords(count, customWords = []) {
-    const validCustom = Array.isArray(customWords) 
-        ? customWords.filter(w => w && typeof w === 'string' && w.trim().length > 0) 
-        : [];
+// --- SESSIONS ---
+// token -> { roomCode, userId }. A user's id is fixed at first join and the
+// socket joins a room named after it, so io.to(user.id) keeps working after resume.
+const sessions = {};
+const graceTimers = {};
+const activeSockets = {}; // userId -> current socket.id
+const GRACE_PERIOD_MS = 30000;
+
+function userIdOf(socket) {
+    return socket.data.userId || socket.id;
+}
+
+function isConnected(room, userId) {
+    const u = room.users.find(u => u.id === userId);
+    return !u || u.connected !== false;
+}
+
+function createSession(roomCode, userId) {
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions[token] = { roomCode, userId };
+    return token;
+}
+
+function dropSessions(userId) {
+    for(const t in sessions) {
+        if(sessions[t].userId === userId) delete sessions[t];
+    }
+}
+
+// --- ROLES ---
+// Seats come from the game module's maxPlayers; anyone past them joins as a spectator.
+// Head-to-head rooms seat a tournament's worth of players between games, so a
+// tournament can be picked at start_game; a plain game sends the extras to spectate.
+const MAX_ROOM_USERS = 50;
+
+function getPlayers(room) {
+    return room.users.filter(u => u.role !== 'spectator');
+}
 
-    const pool = validCustom.length > 0 ? validCustom : wordList;
-    return pool.sort(() => 0.5 - Math.random()).slice(0, count);
+function seatLimit(room) {
+    const between = room.state === 'LOBBY' || room.state === 'GAME_OVER';
+    if(gameRegistry.isHeadToHead(room.gameType) && (room.settings.tournament || between)) return tournaments.MAX_ENTRANTS;
+    return getGame(room.gameType).maxPlayers;
+}
+
+function isSpectator(room, userId) {
+    return room.users.find(u => u.id === userId)?.role === 'spectator';
+}
+
+function spectatorChannel(roomCode) {
+    return `${roomCode}:spectators`;
+}
+
+// --- EVENT GUARDS ---
+// Checks an event against its entry in eventSchemas.js: payload shape, then room,
+// membership, game, role and phase. Returns { code, message } or null if allowed.
+const ACCESS_DENIED = {
+    player: "Spectators can't do that",
+    spectator: "Only spectators can do that",
+    drawer: "Only the drawer can do that",
+    admin: "Only the room admin can do that"
+};
+
+function hasAccess(access, room, user) {
+    if(access === 'player') return !isSpectator(room, user.id);
+    if(access === 'spectator') return isSpectator(room, user.id);
+    if(access === 'drawer') return room.gameData.drawerId === user.id;
+    if(access === 'admin') return room.adminId === user.id;
+    return true;
+}
+
+// `spec` is an EVENTS entry or a game module action
+function checkSpec(spec, data, userId) {
+    const field = eventSchemas.invalidField(spec, data);
+    if(field !== null) return { code: ERR.BAD_PAYLOAD, message: field ? `Invalid ${field}` : "Payload must be an object" };
+    if(!spec.room && !spec.access) return null;
+
+    const room = rooms[data.roomCode];
+    if(!room) return { code: ERR.ROOM_NOT_FOUND, message: "Room not found" };
+    if(!spec.access) return null;
+    const user = room.users.find(u => u.id === userId);
+    if(!user) return { code: ERR.NOT_IN_ROOM, message: "You are not in this room" };
+    if(spec.game && room.gameType !== spec.game) return { code: ERR.WRONG_GAME, message: `This room is not playing ${spec.game}` };
+    if(!hasAccess(spec.access, room, user)) return { code: ERR.FORBIDDEN, message: ACCESS_DENIED[spec.access] };
+    if(spec.phase && !spec.phase.includes(room.state)) return { code: ERR.WRONG_PHASE, message: `Not allowed while the room is ${room.state}` };
+    return null;
+}
+
+// Every refusal is logged and reaches the client as `error` { code, message, event }
+function rejectEvent(socket, event, code, message) {
+    console.log(`Rejected ${event} from ${userIdOf(socket)}: ${code} (${message})`);
+    socket.emit('error', { code, message, event });
 }
 
 function getRoomState(room) {
     if(!room) return {};
-    const safeData = { ...room.gameData };
+    const safeData = getGame(room.gameType).publicState(room);
     delete safeData.timerInterval; // Don't send the interval object to client
     
     // Calculate accurate turn info
@@ -98,626 +150,761 @@ function getRoomState(room) {
         roomName: room.name,
         users: room.users,
         adminId: room.adminId,
+        visibility: room.visibility || 'private',
+        locked: !!room.password,
+        bans: (room.bans || []).map(b => ({ userId: b.userId, username: b.username })),
+        voteKick: room.voteKick || null,
         gameType: room.gameType,
         state: room.state,
         settings: room.settings,
+        tournament: tournaments.publicState(room),
         drawerId: room.gameData?.drawerId || null, 
         roundInfo: { 
             current: room.gameData?.round || 1, 
             total: room.settings?.rounds || 3,
             turn: currentTurnIndex,
-            totalTurns: room.users.length 
+            totalTurns: getPlayers(room).length 
         },
         gameData: safeData 
     };
 }
 
-// --- CHESS LOGIC ---
-function startChessGame(roomCode) {
+// --- GAMES ---
+// Each game type is a module (see gameRegistry.js). The host owns the room's
+// single interval and calls the module's tick() on it.
+function startTicking(roomCode) {
     const room = rooms[roomCode];
-    if(!room || !Chess) return;
+    const game = getGame(room.gameType);
+    clearInterval(room.gameData.timerInterval);
+    room.gameData.timerInterval = setInterval(() => {
+        if(!rooms[roomCode]) return clearInterval(room.gameData.timerInterval);
+        game.tick(roomCode);
+    }, game.tickMs);
+}
 
-    room.state = "PLAYING";
-    room.gameData.fen = new Chess().fen();
-    room.gameData.turn = 'w'; 
-    room.gameData.history = [];
-    
-    const t = room.settings.time || 600; 
-    room.gameData.timers = { w: t, b: t };
+function stopTicking(roomCode) {
+    const room = rooms[roomCode];
+    if(!room) return;
+    clearInterval(room.gameData.timerInterval);
+    room.gameData.timerInterval = null;
+}
+
+// --- PROFILES ---
+// Seated users carry the public id of their profile (profiles.js). Results reported
+// by the games feed ratings and stats; games against the bot are never recorded.
+const profiles = createProfiles(createProfileStore());
 
-    const p1 = room.users[0]; 
-    const p2 = room.users[1]; 
+function profileIdOf(room, userId) {
+    return room.users.find(u => u.id === userId)?.profileId || null;
+}
 
-    let adminColor = room.settings.startColor === 'black' ? 'b' : 'w';
-    let oppColor = adminColor === 'w' ? 'b' : 'w';
+// Head-to-head games seat contestants() and report each decided game, which is
+// rated first and then lets a running tournament move on
+const tournaments = createTournaments({ io, rooms, getPlayers, getRoomState });
+const { contestants } = tournaments;
 
-    if(room.settings.botMode || !p2) {
-        room.gameData.players = { [adminColor]: p1.id, [oppColor]: 'BOT' };
-        room.settings.botMode = true;
-    } else {
-        room.gameData.players = { [adminColor]: p1.id, [oppColor]: p2.id };
+function reportResult(roomCode, result) {
+    const room = rooms[roomCode];
+    const [a, b] = Object.values(room.gameData.players || {});
+    const pa = profileIdOf(room, a), pb = profileIdOf(room, b);
+    if(pa && pb) {
+        const match = profiles.recordHeadToHead(room.gameType, pa, pb, result === 'draw' ? 0.5 : result === a ? 1 : 0, { roomName: room.name });
+        if(match) io.to(roomCode).emit('rating_update', match);
     }
+    return tournaments.reportResult(roomCode, result);
+}
 
-    io.to(roomCode).emit('update_room', getRoomState(room));
-    io.to(roomCode).emit('sys_msg', "Chess Game Started!");
-    io.to(roomCode).emit('sfx', 'start');
-
-    clearInterval(room.gameData.timerInterval);
-    room.gameData.timerInterval = setInterval(() => {
-        if(!rooms[roomCode]) return;
-        const turn = room.gameData.turn; 
-        room.gameData.timers[turn]--;
-        
-        io.to(roomCode).emit('timer_sync', {
-            w: room.gameData.timers.w,
-            b: room.gameData.timers.b,
-            turn: turn
-        });
+// Scribble reports each turn's score breakdown and the final standings
+function reportTurn(roomCode, turnScores) {
+    const room = rooms[roomCode];
+    const drawer = turnScores.find(s => s.role === 'drawer');
+    const guesses = turnScores.filter(s => s.role === 'guesser' && profileIdOf(room, s.userId))
+        .map(s => ({ profileId: profileIdOf(room, s.userId), elapsedMs: s.elapsedMs }));
+    profiles.recordScribbleTurn({ drawer: drawer ? profileIdOf(room, drawer.userId) : null, guesses });
+}
 
-        if(room.gameData.timers[turn] <= 0) {
-            endChessGame(roomCode, turn === 'w' ? 'b' : 'w', "Time Out");
-        }
-    }, 1000);
+function reportStandings(roomCode, standings) {
+    const room = rooms[roomCode];
+    profiles.recordScribbleGame(standings.map(u => ({ profileId: u.profileId, username: u.username, score: u.score, rank: u.rank })), { roomName: room.name });
 }
 
-function endChessGame(roomCode, winnerColor, reason) {
+const gameHost = { io, rooms, getPlayers, isConnected, getRoomState, spectatorChannel, startTicking, stopTicking,
+    contestants, reportResult, reportTurn, reportStandings };
+[createScribbleGame, createChessGame, createTttGame, createConnect4Game].forEach(create => gameRegistry.register(create(gameHost)));
+
+// --- SESSION RESUME ---
+// Pushes everything a (re)joining client needs to rebuild its view of the game
+function syncClientState(socket, roomCode, userId) {
     const room = rooms[roomCode];
     if(!room) return;
-    clearInterval(room.gameData.timerInterval);
-    room.state = "GAME_OVER";
+    socket.emit('update_room', getRoomState(room));
+    getGame(room.gameType).syncClient(socket, roomCode, userId);
+}
+
+// Final removal of a user, once their grace period has run out
+function removeUser(roomCode, userId) {
+    const r = rooms[roomCode];
+    if(!r) return;
+    const i = r.users.findIndex(u => u.id === userId);
+    if(i === -1) return;
+
+    r.users.splice(i,1); 
+    dropSessions(userId);
+    delete activeSockets[userId];
+    io.to(roomCode).emit('sys_msg', "User left.");
     
-    let winnerName = "Bot";
-    if(winnerColor === 'draw') winnerName = "Draw";
-    else {
-        const wid = room.gameData.players[winnerColor];
-        const u = room.users.find(u => u.id === wid);
-        if(u) {
-            u.score += 100;
-            winnerName = u.username;
-        }
+    const game = getGame(r.gameType);
+    if(game.onLeave) game.onLeave(roomCode, userId);
+
+    if(r.users.length===0) {
+        stopTicking(roomCode);
+        delete rooms[roomCode];
+    } else { 
+        tournaments.withdraw(roomCode, userId);
+        if(r.adminId===userId) r.adminId=(getPlayers(r)[0] || r.users[0]).id; 
+        io.to(roomCode).emit('update_room', getRoomState(r)); 
     }
+}
 
-    io.to(roomCode).emit('game_over_alert', { 
-        title: "CHECKMATE / END",
-        msg: winnerColor === 'draw' ? "Stalemate / Draw" : `${winnerName} Won! (${reason})`,
-        leaderboard: room.users
-    });
-    io.to(roomCode).emit('update_room', getRoomState(room));
+// --- ROOM SETUP ---
+function createRoom({ name, adminId, gameType, visibility, password, tournament }) {
+    const roomCode = generateRoomCode();
+    const game = getGame(gameType);
+    const rSettings = { time: 60, botMode: false, ...game.defaultSettings(), tournament: game.maxPlayers === 2 && tournament || null };
+    const gd = game.initialData();
+
+    rooms[roomCode] = { name, adminId, users: [], bans: [], voteKick: null, gameType, settings: rSettings, gameData: gd, state: "LOBBY",
+        visibility: visibility || 'private', password: password ? hashPassword(password) : null };
+    return roomCode;
 }
 
-// --- TIC TAC TOE LOGIC ---
-function startTTTGame(roomCode) {
+// Adds the socket's user to the room (as a spectator once the seats are gone)
+// `profileKey` is the client's stored key; a missing or unknown key gets a new profile
+function seatUser(socket, roomCode, { username, avatar, spectate, profileKey }) {
     const room = rooms[roomCode];
-    if(!room) return;
-
-    room.state = "PLAYING";
-    room.gameData.board = Array(9).fill(null);
-    room.gameData.turn = room.settings.startSymbol || 'X'; 
-    room.gameData.moveTime = room.settings.time || 30; 
-    room.gameData.currentMoveTimer = room.gameData.moveTime;
+    const userId = userIdOf(socket);
+    const seatsFull = getPlayers(room).length >= seatLimit(room);
+    const role = spectate || seatsFull ? 'spectator' : 'player';
+    const av = avatar || `https://api.dicebear.com/7.x/pixel-art/svg?seed=${username}`;
+    const { key, profile } = profiles.identify(profileKey, username);
+    socket.emit('profile', { key, profile });
+    room.users.push({ id: userId, username, avatar: av, score: 0, connected: true, role, profileId: profile.id });
+    socket.data.userId = userId;
+    activeSockets[userId] = socket.id;
+    socket.join(roomCode);
+    if(role === 'spectator') socket.join(spectatorChannel(roomCode));
+    socket.emit('session', { token: createSession(roomCode, userId), userId, roomCode });
+}
 
-    const p1 = room.users[0];
-    const p2 = room.users[1];
-    const adminSym = room.settings.startSymbol || 'X';
-    const oppSym = adminSym === 'X' ? 'O' : 'X';
-    
-    room.gameData.players = { [adminSym]: p1.id };
-    if(p2) room.gameData.players[oppSym] = p2.id;
-    else room.gameData.players[oppSym] = 'BOT'; 
+// `raw` is the admin's start_game settings; throws GameError when the game can't start
+function startGame(roomCode, raw = {}) {
+    const room = rooms[roomCode];
+    if(room.settings.tournament) return tournaments.start(roomCode, room.settings.tournament, raw);
+    getPlayers(room).slice(getGame(room.gameType).maxPlayers).forEach(u => {
+        u.role = 'spectator';
+        io.in(u.id).socketsJoin(spectatorChannel(roomCode));
+    });
+    getGame(room.gameType).start(roomCode, raw);
+}
 
-    io.to(roomCode).emit('update_room', getRoomState(room));
-    io.to(roomCode).emit('sys_msg', "Tic Tac Toe Started!");
+// --- MODERATION ---
+// Bans hold the banned user's id, profile id and address. The profile is what
+// keeps them out; from a banned address only a known, unbanned profile may join,
+// so dropping the profile key doesn't help, while others behind the same proxy
+// or NAT who have a profile still get in. Mutes are a flag on the user.
+const VOTE_KICK_MS = 60000;
+const voteTimers = {}; // roomCode -> timeout that closes the running vote
+
+// Takes a socket handshake or an HTTP request's { headers, address }. Behind a
+// reverse proxy, set TRUST_PROXY so the client's own address is used.
+function clientAddress({ headers, address }) {
+    const forwarded = process.env.TRUST_PROXY && headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : address;
+}
 
-    clearInterval(room.gameData.timerInterval);
-    room.gameData.timerInterval = setInterval(() => {
-        if(!rooms[roomCode]) return;
-        room.gameData.currentMoveTimer--;
-        io.to(roomCode).emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: `${room.gameData.turn}'s Turn` });
-        
-        if(room.gameData.currentMoveTimer <= 0) {
-            room.gameData.currentMoveTimer = room.gameData.moveTime;
-            room.gameData.turn = room.gameData.turn === 'X' ? 'O' : 'X';
-            io.to(roomCode).emit('sys_msg', "Time skip!");
-            io.to(roomCode).emit('update_room', getRoomState(room));
-        }
-    }, 1000);
+function isBanned(room, userId, profileId, address) {
+    return (room.bans || []).some(b => b.userId === userId
+        || (profileId && b.profileId === profileId)
+        || (!profileId && b.address && b.address === address));
 }
 
-function checkTTTWin(board) {
-    const wins = [[0,1,2],[3,4,5],[6,7,8],[0,3,6],[1,4,7],[2,5,8],[0,4,8],[2,4,6]];
-    for(let w of wins) {
-        if(board[w[0]] && board[w[0]] === board[w[1]] && board[w[0]] === board[w[2]]) {
-            return board[w[0]];
-        }
+// Removes a user on the admin's (or the vote's) say-so and tells their socket why
+function expelUser(roomCode, userId, reason, ban) {
+    const room = rooms[roomCode];
+    const user = room && room.users.find(u => u.id === userId);
+    if(!user) return;
+    if(ban) {
+        const sock = io.sockets.sockets.get(activeSockets[userId]);
+        room.bans = room.bans || [];
+        room.bans.push({ userId, username: user.username, profileId: user.profileId, address: sock ? clientAddress(sock.handshake) : null });
     }
-    if(board.every(v => v !== null)) return 'draw';
-    return null;
+    if(room.voteKick && room.voteKick.targetId === userId) room.voteKick = null;
+    clearTimeout(graceTimers[userId]);
+    delete graceTimers[userId];
+
+    io.to(userId).emit('kicked', { roomCode, reason, banned: !!ban });
+    io.in(userId).socketsLeave([roomCode, spectatorChannel(roomCode)]);
+    io.to(roomCode).emit('sys_msg', `${user.username} was ${ban ? 'banned' : 'kicked'}. ${reason}`.trim());
+    removeUser(roomCode, userId);
 }
 
-// --- SCRIBBLE LOGIC ---
-function startScribbleTurn(roomCode) {
+// Majority of the other players, and never fewer than two voters
+function votesNeeded(room, targetId) {
+    const voters = getPlayers(room).filter(u => u.id !== targetId && u.connected !== false).length;
+    return Math.max(2, Math.floor(voters / 2) + 1);
+}
+
+function castKickVote(roomCode, voterId, targetId) {
     const room = rooms[roomCode];
-    if (!room) return;
-
-    // Check if game is over (Round limit reached)
-    if (room.gameData.round > room.settings.rounds) {
-        room.state = "GAME_OVER";
-        io.to(roomCode).emit('game_over_alert', { 
-            title: "GAME OVER", 
-            msg: "Final Standings!", 
-            leaderboard: room.users.sort((a,b)=>b.score-a.score),
-            isFinal: true 
-        });
-        room.state = "LOBBY";
-        io.to(roomCode).emit('update_room', getRoomState(room));
-        return;
+    const target = room.users.find(u => u.id === targetId);
+    if(!target || targetId === voterId) return "You can't vote against that user";
+
+    let vote = room.voteKick;
+    if(vote && Date.now() > vote.endsAt) vote = null;
+    if(vote && vote.targetId !== targetId) return "Another vote is already running";
+    if(!vote) {
+        vote = { targetId, targetName: target.username, votes: [], endsAt: Date.now() + VOTE_KICK_MS };
+        armVoteExpiry(roomCode, vote);
     }
+    if(!vote.votes.includes(voterId)) vote.votes.push(voterId);
+    vote.needed = votesNeeded(room, targetId);
+    room.voteKick = vote;
 
-    // Loop back to first player if index exceeds count
-    if (room.gameData.drawerIdx >= room.users.length) {
-        room.gameData.drawerIdx = 0; 
-        room.gameData.round++;
-        startScribbleTurn(roomCode); 
-        return;
+    if(vote.votes.length >= vote.needed) {
+        expelUser(roomCode, targetId, "Voted out by the players.", false);
+        return null;
     }
+    io.to(roomCode).emit('sys_msg', `Vote to kick ${target.username}: ${vote.votes.length}/${vote.needed}`);
+    io.to(roomCode).emit('update_room', getRoomState(room));
+    return null;
+}
 
-    const drawer = room.users[room.gameData.drawerIdx];
-    
-    // **SAFETY CHECK**: If drawer user doesn't exist (left the game), skip to next person
-    if(!drawer) {
-        room.gameData.drawerIdx++;
-        startScribbleTurn(roomCode);
+// Clears a vote that runs out without enough votes, so it drops out of the room state
+function armVoteExpiry(roomCode, vote) {
+    clearTimeout(voteTimers[roomCode]);
+    voteTimers[roomCode] = setTimeout(() => {
+        delete voteTimers[roomCode];
+        const room = rooms[roomCode];
+        if(!room || room.voteKick !== vote) return;
+        room.voteKick = null;
+        io.to(roomCode).emit('sys_msg', `Vote to kick ${vote.targetName} failed.`);
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    }, Math.max(0, vote.endsAt - Date.now()));
+}
+
+// --- LOBBY ---
+// Codes skip look-alike characters (0/O, 1/I) so they can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const LOBBY_CHANNEL = 'lobby';
+const LOBBY_REFRESH_MS = 1000;
+
+function generateRoomCode() {
+    let code;
+    do {
+        code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while(rooms[code]);
+    return code;
+}
+
+// Passwords are kept as "salt:scrypt-hash", never in room.settings
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function checkPassword(stored, password) {
+    if(!stored) return true;
+    if(typeof password !== 'string') return false;
+    const [salt, hash] = stored.split(':');
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), crypto.scryptSync(password, salt, 32));
+}
+
+function summarizeRoom(code, room) {
+    const { customWords, ...settings } = room.settings;
+    return {
+        code,
+        name: room.name,
+        gameType: room.gameType,
+        state: room.state,
+        players: getPlayers(room).length,
+        maxPlayers: seatLimit(room),
+        spectators: room.users.length - getPlayers(room).length,
+        locked: !!room.password,
+        settings
+    };
+}
+
+function listPublicRooms(gameType) {
+    return Object.keys(rooms)
+        .filter(code => rooms[code].visibility === 'public' && rooms[code].users.length > 0)
+        .filter(code => !gameType || rooms[code].gameType === gameType)
+        .map(code => summarizeRoom(code, rooms[code]));
+}
+
+// Lobby subscribers get the full public list whenever it changes
+let lastLobby = '[]';
+setInterval(() => {
+    if(!io.sockets.adapter.rooms.get(LOBBY_CHANNEL)) return;
+    const list = listPublicRooms();
+    const json = JSON.stringify(list);
+    if(json === lastLobby) return;
+    lastLobby = json;
+    io.to(LOBBY_CHANNEL).emit('lobby_update', { rooms: list });
+}, LOBBY_REFRESH_MS);
+
+// --- QUICK PLAY ---
+// queue_join puts a socket in matchmaking.js; matched groups get a private room
+// that starts straight away. Head-to-head queues pair by profile rating.
+const MATCH_TICK_MS = 1000;
+const matchmaker = createMatchmaker({
+    scribbleSize: parseInt(process.env.MATCH_SCRIBBLE_SIZE) || 4
+});
+
+function startMatch({ gameType, entries }) {
+    const present = entries.filter(e => io.sockets.sockets.get(e.socketId));
+    if(present.length < entries.length) {
+        present.forEach(e => matchmaker.requeue(e));
         return;
     }
-
-    room.gameData.drawerId = drawer.id;
-    room.gameData.word = null; 
-    room.gameData.guessed = []; 
-    room.gameData.history = []; 
-    room.gameData.redoStack = []; 
-    room.gameData.revealedIndices = new Set();
-    room.gameData.hintsGiven = 0; 
-    room.gameData.wrongGuesses = 0;
-    
-    io.to(roomCode).emit('clear_canvas'); 
-    
-    room.state = "SELECTING";
-    io.to(roomCode).emit('update_room', getRoomState(room));
-    
-    io.to(roomCode).emit('scribble_state', { 
-        state: "SELECTING", 
-        drawerId: drawer.id, 
-        drawerName: drawer.username, 
-        drawerAvatar: drawer.avatar, 
-        round: room.gameData.round, 
-        totalRounds: room.settings.rounds,
-        turn: room.gameData.drawerIdx + 1,
-        totalTurns: room.users.length
+    const roomCode = createRoom({ name: "Quick Play", adminId: entries[0].id, gameType, visibility: 'private' });
+    entries.forEach(e => {
+        const sock = io.sockets.sockets.get(e.socketId);
+        seatUser(sock, roomCode, { username: e.username, avatar: e.avatar, profileKey: e.profileKey });
+        sock.emit('match_found', { roomCode, gameType });
     });
-    
-    io.to(roomCode).emit('sfx', 'picking');
+    io.to(roomCode).emit('update_room', getRoomState(rooms[roomCode]));
+    try {
+        startGame(roomCode);
+    } catch(e) {
+        if(!(e instanceof GameError)) throw e;
+        abandonMatch(roomCode, entries, e.message);
+    }
+}
 
-    const options = getRandomWords(3, room.settings.customWords);
-    io.to(drawer.id).emit('pick_word', { words: options });
-    
-    let pickTime = 15;
-    clearInterval(room.gameData.timerInterval);
-    io.to(roomCode).emit('timer_sync', { total: pickTime, msg: "Picking..." }); 
-    
-    room.gameData.timerInterval = setInterval(() => { 
-        if(!rooms[roomCode]) return clearInterval(room.gameData.timerInterval);
-        
-        pickTime--; 
-        io.to(roomCode).emit('timer_sync', { total: pickTime, msg: "Picking..." });
-        if(pickTime <= 0) {
-            handleWordSelection(roomCode, options[0]); 
-        }
-    }, 1000);
+// Takes down a quick-play room whose game refused to start and queues its players again
+function abandonMatch(roomCode, entries, reason) {
+    console.log(`Match in ${roomCode} could not start: ${reason}`);
+    io.to(roomCode).emit('sys_msg', `Match cancelled: ${reason}`);
+    entries.forEach(e => {
+        const sock = io.sockets.sockets.get(e.socketId);
+        if(sock) sock.leave(roomCode);
+        dropSessions(e.id);
+        delete activeSockets[e.id];
+        e.lastStatus = null; // resend queue_status
+        matchmaker.requeue(e);
+    });
+    stopTicking(roomCode);
+    delete rooms[roomCode];
 }
 
-function handleWordSelection(roomCode, word) {
-    const room = rooms[roomCode]; if(!room) return;
-    clearInterval(room.gameData.timerInterval);
-    
-    room.gameData.word = word; 
-    room.state = "DRAWING";
-    room.gameData.revealedIndices = new Set();
-    
-    const masked = word.split('').map(c => c === ' ' ? ' ' : '_').join(' ');
-    
-    io.to(roomCode).emit('update_room', getRoomState(room));
-    
-    io.to(roomCode).emit('scribble_state', { 
-        state: "DRAWING", 
-        drawerId: room.gameData.drawerId, 
-        maskedWord: masked, 
-        wordLength: word.length,
-        time: room.settings.time, 
-        round: room.gameData.round, 
-        totalRounds: room.settings.rounds,
-        turn: room.gameData.drawerIdx + 1,
-        totalTurns: room.users.length
+function runMatchmaking() {
+    const { matches, timedOut } = matchmaker.tick();
+    timedOut.forEach(e => io.to(e.socketId).emit('queue_timeout', { gameType: e.gameType }));
+    matches.forEach(startMatch);
+    matchmaker.positions().forEach(({ entry, position, waiting }) => {
+        const status = `${position}/${waiting}`;
+        if(entry.lastStatus === status) return;
+        entry.lastStatus = status;
+        io.to(entry.socketId).emit('queue_status', { gameType: entry.gameType, position, waiting });
     });
-    
-    io.to(room.gameData.drawerId).emit('drawer_secret', word);
-    
-    const drawerName = room.users.find(u=>u.id===room.gameData.drawerId)?.username || "Drawer";
-    io.to(roomCode).emit('sys_msg', `🎨 ${drawerName} is drawing!`);
-    io.to(roomCode).emit('sfx', 'start'); 
-    
-    let time = room.settings.time;
-    let revealCounter = 0;
-    io.to(roomCode).emit('timer_sync', { total: time, msg: "Guess!" });
+}
 
-    const isTough = word.length >= 6;
-    const maxHints = word.length <= 4 ? 1 : (word.length > 7 ? 3 : 2);
+setInterval(runMatchmaking, MATCH_TICK_MS);
 
-    room.gameData.timerInterval = setInterval(() => {
-        if(!rooms[roomCode]) return clearInterval(room.gameData.timerInterval);
+// --- HTTP ROUTES ---
+app.get('/rooms', (req, res) => {
+    res.json(listPublicRooms(req.query.gameType));
+});
 
-        time--; 
-        revealCounter++;
-        io.to(roomCode).emit('timer_sync', { total: time, msg: "Guess!" });
+gameRegistry.listGames().forEach(game => game.routes && game.routes(app));
 
-        let shouldReveal = false;
-        
-        if (time === 20 || (room.gameData.wrongGuesses > 8 && time > 20)) {
-            if (room.gameData.hintsGiven < maxHints) shouldReveal = true;
-        }
-        if (time === 10) {
-            if (room.gameData.hintsGiven < maxHints) shouldReveal = true;
-        }
+app.get('/profiles/:id', (req, res) => {
+    const profile = profiles.getProfile(req.params.id);
+    if(!profile) return res.status(404).json({ error: "Profile not found" });
+    res.json({ ...profile, matches: profiles.history(req.params.id) });
+});
 
-        if (shouldReveal && room.gameData.revealedIndices.size < word.length - 1) {
-             let idxToReveal = -1;
-             
-             if(isTough && !room.gameData.revealedIndices.has(0)) {
-                 idxToReveal = 0;
-             } else {
-                 const unrevealed = [];
-                 for(let i=0; i<word.length; i++) { 
-                     if(word[i]!==' ' && !room.gameData.revealedIndices.has(i)) unrevealed.push(i); 
-                 }
-                 if(unrevealed.length > 0) {
-                     idxToReveal = unrevealed[Math.floor(Math.random() * unrevealed.length)];
-                 }
-             }
+app.get('/profiles/:id/matches', (req, res) => {
+    if(!profiles.getProfile(req.params.id)) return res.status(404).json({ error: "Profile not found" });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 20));
+    res.json(profiles.history(req.params.id, limit));
+});
 
-             if(idxToReveal !== -1) {
-                 room.gameData.revealedIndices.add(idxToReveal);
-                 room.gameData.hintsGiven++;
-                 
-                 const newMasked = word.split('').map((c,i) => (room.gameData.revealedIndices.has(i) || c===' ') ? c : '_').join(' ');
-                 io.to(roomCode).emit('scribble_state', {
-                     state: "DRAWING",
-                     drawerId: room.gameData.drawerId,
-                     maskedWord: newMasked,
-                     round: room.gameData.round,
-                     totalRounds: room.settings.rounds,
-                     turn: room.gameData.drawerIdx + 1,
-                     totalTurns: room.users.length
-                 });
-                 io.to(roomCode).emit('sfx', 'hint'); 
-             }
-        }
+app.get('/leaderboards/:gameType', (req, res) => {
+    if(!gameRegistry.hasGame(req.params.gameType)) return res.status(404).json({ error: "Unknown game type" });
+    res.json(profiles.leaderboard(req.params.gameType));
+});
 
-        if(time <= 0) { 
-            io.to(roomCode).emit('sfx', 'timeover'); 
-            endScribbleTurn(roomCode, `Time's up!`); 
-        }
-    }, 1000);
-}
+app.get('/wordpacks', (req, res) => {
+    res.json(wordPacks.listPacks());
+});
 
-function endScribbleTurn(roomCode, reason) {
-    const room = rooms[roomCode]; 
-    if(!room) return;
-    clearInterval(room.gameData.timerInterval);
-    
-    const lb = room.users.sort((a,b) => b.score - a.score);
-    const correctWord = room.gameData.word;
-    
-    io.to(roomCode).emit('game_over_alert', { 
-        title: "ROUND OVER", 
-        msg: reason,
-        word: correctWord, 
-        leaderboard: lb,
-        isFinal: false
-    });
-    
-    io.to(roomCode).emit('sfx', 'round_end');
+app.get('/wordpacks/:id', (req, res) => {
+    const pack = wordPacks.getPack(req.params.id);
+    if(!pack) return res.status(404).json({ error: "Word pack not found" });
+    res.json(pack);
+});
 
-    setTimeout(() => { 
-        if(rooms[roomCode]) {
-            room.gameData.drawerIdx++; 
-            startScribbleTurn(roomCode); 
-        }
-    }, 5000); // 5 sec cooldown
+// Uploads are shared by every room, so only a room admin may add one: the
+// request carries their session token as `Authorization: Bearer <token>`
+function requireRoomAdmin(req, res, next) {
+    const m = /^Bearer ([a-f0-9]+)$/.exec(req.get('authorization') || '');
+    const sess = m && sessions[m[1]];
+    const room = sess && rooms[sess.roomCode];
+    if(!room || room.adminId !== sess.userId) return res.status(403).json({ error: "Only a room admin can upload word packs" });
+    if(Date.now() - (room.packUploadedAt || 0) < PACK_UPLOAD_COOLDOWN_MS) return res.status(429).json({ error: "Wait a minute before uploading another pack" });
+    req.room = room;
+    next();
 }
 
+// Rooms are free to create, so uploads are also capped per address and in total
+function limitPackUploads(req, res, next) {
+    if(Date.now() - packUploads.since >= PACK_UPLOAD_WINDOW_MS) packUploads = { since: Date.now(), byAddress: {} };
+    req.address = clientAddress({ headers: req.headers, address: req.socket.remoteAddress });
+    if((packUploads.byAddress[req.address] || 0) >= PACK_UPLOADS_PER_ADDRESS) return res.status(429).json({ error: "Too many uploads, try again later" });
+    if(wordPacks.listPacks().filter(p => !p.builtIn).length >= MAX_UPLOADED_PACKS) return res.status(507).json({ error: "No room for more word packs" });
+    next();
+}
+
+// Accepts a JSON pack, or CSV (text/csv) with the pack id in ?id=
+app.post('/wordpacks', requireRoomAdmin, limitPackUploads, express.json({ limit: '512kb' }), express.text({ type: 'text/csv', limit: '512kb' }), (req, res) => {
+    const data = typeof req.body === 'string' ? { id: req.query.id, ...wordPacks.parseCsv(req.body) } : req.body;
+    try {
+        const pack = wordPacks.addPack(UPLOADED_WORDPACK_DIR, data);
+        req.room.packUploadedAt = Date.now();
+        packUploads.byAddress[req.address] = (packUploads.byAddress[req.address] || 0) + 1;
+        res.status(201).json(wordPacks.summarize(pack));
+    } catch(e) {
+        if(!(e instanceof wordPacks.WordPackError)) throw e;
+        res.status(/already exists/.test(e.message) ? 409 : 400).json({ error: e.message });
+    }
+});
+
 // --- SOCKETS ---
 io.on('connection', (socket) => {
-    socket.on('create_room', ({ username, avatar, gameType }) => {
-        const roomCode = Math.floor(1000 + Math.random() * 9000).toString();
-        const rSettings = { 
-            rounds: 3, 
-            time: 60, 
-            customWords: [], 
-            botMode: false, 
-            chessTheme: 'wikipedia', 
-            startColor: 'white', 
-            startSymbol: 'X',
-            maxScore: 10000 
-        };
-        
-        let gd = {};
-        if(gameType === 'scribble') gd = { round: 1, drawerIdx: 0, drawerId: null, word: null, history: [], redoStack: [], guessed: [] };
-        else if (gameType === 'tictactoe') gd = { board: Array(9).fill(null), turn: 'X', round: 1 };
-        else if (gameType === 'chess' && Chess) gd = { fen: new Chess().fen(), round: 1, turn: 'w', timers: {w:600, b:600}, players: {} };
-        
-        rooms[roomCode] = { name: `${username}'s Room`, adminId: socket.id, users: [], gameType, settings: rSettings, gameData: gd, state: "LOBBY" };
+    // Handlers only ever see payloads that passed checkSpec
+    const bind = (event, spec, handler) => socket.on(event, (data) => {
+        // Codes are handed out in upper case; accept them typed in any case
+        if(data && typeof data.roomCode === 'string') data.roomCode = data.roomCode.toUpperCase();
+        const err = checkSpec(spec, data, userIdOf(socket));
+        if(err) return rejectEvent(socket, event, err.code, err.message);
+        handler(data || {});
+    });
+    const on = (event, handler) => bind(event, eventSchemas.EVENTS[event], handler);
+
+    // --- GAME ACTIONS ---
+    // `game_action` { roomCode, action, ...fields } reaches any action of the room's
+    // game; actions with an `event` name also keep their own socket event.
+    const runAction = (event, action, data) => {
+        try {
+            action.handle(data.roomCode, userIdOf(socket), data, socket);
+        } catch(e) {
+            if(!(e instanceof GameError)) throw e;
+            rejectEvent(socket, event, e.code, e.message);
+        }
+    };
+
+    gameRegistry.listGames().forEach(game => Object.values(game.actions).forEach(action => {
+        if(action.event) bind(action.event, action, data => runAction(action.event, action, data));
+    }));
+
+    on('game_action', (data) => {
+        const game = getGame(rooms[data.roomCode].gameType);
+        const action = Object.prototype.hasOwnProperty.call(game.actions, data.action) ? game.actions[data.action] : null;
+        if(!action) return rejectEvent(socket, 'game_action', ERR.BAD_PAYLOAD, `Unknown ${game.type} action`);
+        const err = checkSpec(action, data, userIdOf(socket));
+        if(err) return rejectEvent(socket, 'game_action', err.code, err.message);
+        runAction('game_action', action, data);
+    });
+
+    on('create_room', ({ username, gameType, visibility, password, tournament }) => {
+        const roomCode = createRoom({ name: `${username}'s Room`, adminId: userIdOf(socket), gameType, visibility, password, tournament });
         socket.emit('room_created', roomCode);
     });
 
-    socket.on('join_room', ({ roomCode, username, avatar }) => {
+    on('join_room', ({ roomCode, username, avatar, spectate, password, profileKey }) => {
         const room = rooms[roomCode];
-        if(!room) return socket.emit('error', "Room not found");
-        if(room.users.length >= 10) return socket.emit('error', "Room Full");
-        
-        const existing = room.users.find(u => u.id === socket.id);
+        const userId = userIdOf(socket);
+        const existing = room.users.find(u => u.id === userId);
         if(!existing) {
-            const av = avatar || `https://api.dicebear.com/7.x/pixel-art/svg?seed=${username}`;
-            room.users.push({ id: socket.id, username, avatar: av, score: 0 });
-            socket.join(roomCode);
+            if(isBanned(room, userId, profiles.idForKey(profileKey), clientAddress(socket.handshake))) return rejectEvent(socket, 'join_room', ERR.BANNED, "You are banned from this room");
+            if(!checkPassword(room.password, password)) return rejectEvent(socket, 'join_room', ERR.WRONG_PASSWORD, "Wrong room password");
+            if(room.users.length >= MAX_ROOM_USERS) return rejectEvent(socket, 'join_room', ERR.ROOM_FULL, "Room Full");
+            seatUser(socket, roomCode, { username, avatar, spectate, profileKey });
         }
         
+        const role = room.users.find(u => u.id === userId).role;
         io.to(roomCode).emit('update_room', getRoomState(room));
-        io.to(roomCode).emit('sys_msg', `${username} joined.`);
+        io.to(roomCode).emit('sys_msg', role === 'spectator' ? `${username} is spectating.` : `${username} joined.`);
         socket.emit('sfx', 'join');
         
         // Late Join State Sync
-        if(room.gameType === 'scribble' && room.state === 'DRAWING') {
-            socket.emit('canvas_history', room.gameData.history);
-            const masked = room.gameData.word.split('').map((c,i) => (room.gameData.revealedIndices.has(i) || c===' ') ? c : '_').join(' ');
-            socket.emit('scribble_state', { 
-                state: "DRAWING", 
-                drawerId: room.gameData.drawerId, 
-                maskedWord: masked, 
-                time: room.settings.time, 
-                round: room.gameData.round, 
-                totalRounds: room.settings.rounds,
-                turn: room.gameData.drawerIdx + 1,
-                totalTurns: room.users.length
-            });
-             if(room.gameData.guessed.includes(socket.id)) {
-                 socket.emit('reveal_word', { word: room.gameData.word });
-             }
+        syncClientState(socket, roomCode, userId);
+    });
+
+    on('resume_session', ({ token } = {}) => {
+        const sess = sessions[token];
+        const room = sess && rooms[sess.roomCode];
+        const user = room && room.users.find(u => u.id === sess.userId);
+        if(!user) {
+            if(sess) delete sessions[token];
+            return socket.emit('session_expired');
         }
+
+        clearTimeout(graceTimers[user.id]);
+        delete graceTimers[user.id];
+
+        // Reattach: this socket now speaks for the stored user record
+        socket.data.userId = user.id;
+        activeSockets[user.id] = socket.id;
+        socket.join(sess.roomCode);
+        if(socket.id !== user.id) socket.join(user.id);
+        if(user.role === 'spectator') socket.join(spectatorChannel(sess.roomCode));
+        user.connected = true;
+        const game = getGame(room.gameType);
+        if(game.onPresence) game.onPresence(sess.roomCode);
+
+        socket.emit('session', { token, userId: user.id, roomCode: sess.roomCode });
+        io.to(sess.roomCode).emit('sys_msg', `${user.username} reconnected.`);
+        syncClientState(socket, sess.roomCode, user.id);
+        socket.to(sess.roomCode).emit('update_room', getRoomState(room));
     });
 
-    socket.on('start_game', ({ roomCode, settings }) => {
+    // Players can step out to watch, and spectators can take a free seat, between games
+    on('switch_role', ({ roomCode, role }) => {
         const room = rooms[roomCode];
-        if(room && room.adminId === socket.id) {
-            if(settings) {
-                room.settings = { ...room.settings, ...settings };
-                room.settings.rounds = parseInt(settings.rounds) || 3;
-                room.settings.time = parseInt(settings.time) || 60;
-                room.settings.maxScore = parseInt(settings.maxScore) || 10000;
-            }
-
-            if(room.gameType === 'scribble') {
-                room.gameData.round = 1; room.gameData.drawerIdx = 0; room.users.forEach(u=>u.score=0);
-                startScribbleTurn(roomCode);
-            } else if (room.gameType === 'chess') {
-                startChessGame(roomCode);
-            } else if (room.gameType === 'tictactoe') {
-                startTTTGame(roomCode);
-            }
+        const user = room && room.users.find(u => u.id === userIdOf(socket));
+        if(!user || (role !== 'player' && role !== 'spectator') || user.role === role) return;
+        if(room.state === 'PLAYING' || room.state === 'DRAWING' || room.state === 'SELECTING') {
+            return rejectEvent(socket, 'switch_role', ERR.WRONG_PHASE, "Can't switch roles during a game");
         }
+        if(role === 'player' && getPlayers(room).length >= seatLimit(room)) {
+            return rejectEvent(socket, 'switch_role', ERR.NO_SEATS, "No free seats");
+        }
+        if(role === 'spectator') tournaments.withdraw(roomCode, user.id);
+        user.role = role;
+        if(role === 'spectator') socket.join(spectatorChannel(roomCode));
+        else socket.leave(spectatorChannel(roomCode));
+        io.to(roomCode).emit('update_room', getRoomState(room));
     });
 
-    socket.on('chess_move', ({ roomCode, move }) => {
+    on('spectator_chat_send', ({ roomCode, text }) => {
         const room = rooms[roomCode];
-        if(!room || room.gameType !== 'chess' || room.state !== 'PLAYING') return;
-        
-        const turnColor = room.gameData.turn;
-        const authId = room.gameData.players[turnColor];
-        
-        if(socket.id !== authId && authId !== 'BOT') return;
+        const user = room && room.users.find(u => u.id === userIdOf(socket));
+        if(!user || user.role !== 'spectator' || !text || user.muted) return;
+        io.to(spectatorChannel(roomCode)).emit('spectator_chat_receive', { username: user.username, text, avatar: user.avatar });
+    });
 
-        const c = new Chess(room.gameData.fen);
+    on('start_game', ({ roomCode, settings }) => {
+        const room = rooms[roomCode];
+        const game = getGame(room.gameType);
+        if(tournaments.isRunning(room)) return rejectEvent(socket, 'start_game', ERR.WRONG_PHASE, "A tournament is running");
+        if(settings) {
+            room.settings = { ...room.settings, ...settings };
+            room.settings.time = parseInt(settings.time) || 60;
+            room.settings.tournament = tournaments.FORMATS.includes(room.settings.tournament) ? room.settings.tournament : null;
+            game.parseSettings(settings, room.settings);
+        }
         try {
-            const m = c.move(move);
-            if(m) {
-                room.gameData.fen = c.fen();
-                room.gameData.turn = c.turn(); 
-                io.to(roomCode).emit('chess_move_update', { fen: room.gameData.fen, move: m });
-                io.to(roomCode).emit('sfx', 'pop');
-                
-                if(c.isGameOver()) {
-                    let r = "Draw"; let w = 'draw';
-                    if(c.isCheckmate()) { r="Checkmate"; w=turnColor; } 
-                    endChessGame(roomCode, w, r);
-                } else {
-                    if(room.gameData.players[c.turn()] === 'BOT') {
-                        setTimeout(() => {
-                           const moves = c.moves();
-                           const randMove = moves[Math.floor(Math.random() * moves.length)];
-                           if(randMove) {
-                               c.move(randMove);
-                               room.gameData.fen = c.fen();
-                               room.gameData.turn = c.turn();
-                               io.to(roomCode).emit('chess_move_update', { fen: room.gameData.fen, move: randMove });
-                               io.to(roomCode).emit('sfx', 'pop');
-                               if(c.isGameOver()) endChessGame(roomCode, c.turn()==='w'?'b':'w', "Bot Won");
-                           }
-                        }, 800); 
-                    }
-                }
-            }
-        } catch(e){}
+            startGame(roomCode, settings || {});
+        } catch(e) {
+            if(!(e instanceof GameError)) throw e;
+            rejectEvent(socket, 'start_game', e.code, e.message);
+        }
     });
 
-    socket.on('ttt_move', ({ roomCode, index }) => {
+    // Stops a running game without waiting for its own end condition
+    on('end_game', ({ roomCode }) => {
         const room = rooms[roomCode];
-        if(!room || room.gameType!=='tictactoe') return;
-        
-        const currentTurnSym = room.gameData.turn;
-        const authorizedId = room.gameData.players[currentTurnSym];
-        
-        if(socket.id !== authorizedId && authorizedId !== 'BOT') return;
-        if(room.gameData.board[index] !== null) return;
-
-        room.gameData.board[index] = currentTurnSym;
-        io.to(roomCode).emit('ttt_update', { board: room.gameData.board, index, sym: currentTurnSym });
-        io.to(roomCode).emit('sfx', 'pop');
-
-        const win = checkTTTWin(room.gameData.board);
-        if(win) {
-            let winner = "Draw";
-            clearInterval(room.gameData.timerInterval);
-            if(win !== 'draw') {
-                const wid = room.gameData.players[win];
-                const u = room.users.find(u=>u.id === wid);
-                if(u) { u.score += 100; winner = u.username; }
-            }
-            io.to(roomCode).emit('game_over_alert', { title: "ROUND OVER", msg: win==='draw'?"Draw!":`${winner} Wins!`, leaderboard: room.users });
-            
-            setTimeout(() => {
-                if(rooms[roomCode]) {
-                    room.gameData.board = Array(9).fill(null);
-                    room.gameData.turn = room.settings.startSymbol || 'X';
-                    io.to(roomCode).emit('update_room', getRoomState(room));
-                    startTTTGame(roomCode); 
-                }
-            }, 3000);
-        } else {
-            room.gameData.turn = currentTurnSym === 'X' ? 'O' : 'X';
-            room.gameData.currentMoveTimer = room.gameData.moveTime; 
-            io.to(roomCode).emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: `${room.gameData.turn}'s Turn` });
-        }
+        const playing = room.state !== 'LOBBY' && room.state !== 'GAME_OVER';
+        if(!playing && !tournaments.isRunning(room)) return rejectEvent(socket, 'end_game', ERR.WRONG_PHASE, "No game is running");
+        // Stopping a tournament game stops the whole tournament
+        if(playing) getGame(room.gameType).end(roomCode, "Ended by the admin");
+        if(tournaments.isRunning(room)) tournaments.cancel(roomCode, "Ended by the admin");
     });
 
-    socket.on('chat_send', ({ roomCode, text }) => {
-        if(!roomCode) return; // FIX CRASH ON EMPTY ROOM CODE
-        const room = rooms[roomCode]; if(!room) return;
-        
-        // FIX CRASH: Handle case where user is not found in the list (e.g. server restart)
-        const user = room.users.find(u => u.id === socket.id);
-        if(!user) return; 
-        
-        if(room.gameType === 'scribble' && room.state === 'DRAWING' && socket.id === room.gameData.drawerId) {
-            return; 
-        }
+    on('chat_send', ({ roomCode, text }) => {
+        const room = rooms[roomCode];
+        const user = room.users.find(u => u.id === userIdOf(socket));
 
-        if(room.gameType === 'scribble' && room.state === 'DRAWING') {
-            const guess = text.trim().toLowerCase();
-            const actual = room.gameData.word ? room.gameData.word.toLowerCase() : "";
-
-            if(guess === actual) {
-                if(!room.gameData.guessed.includes(socket.id)) {
-                    room.gameData.guessed.push(socket.id); 
-                    
-                    const timeBonus = Math.ceil((room.settings.time - (room.settings.time - room.gameData.timerInterval?._idleStart/1000 || 0)) * 2);
-                    user.score += (100 + timeBonus);
-                    
-                    const drawer = room.users.find(u=>u.id===room.gameData.drawerId);
-                    if(drawer) drawer.score+=30;
-
-                    socket.emit('reveal_word', { word: room.gameData.word });
-                    
-                    io.to(roomCode).emit('chat_receive', { username: user.username, text: "Guessed the word!", type: 'correct', avatar: user.avatar });
-                    io.to(roomCode).emit('sys_msg', `🎉 ${user.username} guessed it!`);
-                    io.to(roomCode).emit('sfx', 'success'); 
-                    
-                    const totalGuessers = room.users.length - 1;
-                    if(room.gameData.guessed.length >= totalGuessers && totalGuessers > 0) {
-                         clearInterval(room.gameData.timerInterval); 
-                         io.to(roomCode).emit('sys_msg', "Everyone guessed! Ending round...");
-                         setTimeout(() => {
-                             endScribbleTurn(roomCode, "Everyone Guessed!");
-                         }, 1000);
-                    }
-                }
-                return;
-            } else if (getEditDistance(guess, actual) <= 2 && guess.length > 2) {
-                 socket.emit('chat_receive', { username: "System", text: `'${text}' is close!`, type: 'close' });
-                 return; 
-            }
-        }
+        // The game may take the message first, e.g. as a scribble guess
+        const game = getGame(room.gameType);
+        if(game.onChat && game.onChat(roomCode, user, text, socket)) return;
+
+        // Muted players still have their guesses scored by the game; their text goes nowhere
+        if(user.muted) return socket.emit('chat_receive', { username: "System", text: "You are muted.", type: 'muted' });
         io.to(roomCode).emit('chat_receive', { username: user.username, text, avatar: user.avatar, type: 'chat' });
         io.to(roomCode).emit('sfx', 'msg');
     });
 
-    socket.on('draw_op', (data) => {
-        const room = rooms[data.roomCode];
-        if(!room) return;
-        // Safety: Only drawer can draw
-        if(room.gameData.drawerId !== socket.id) return;
-
-        if (data.op === 'fill') {
-            room.gameData.history.push({ op: 'fill', color: data.color, x: data.x, y: data.y });
-            socket.to(data.roomCode).emit('draw_op', data);
-        } else if(data.op === 'start') {
-            room.gameData.redoStack = []; 
-            room.gameData.currentStroke = { op: 'stroke', color: data.color, width: data.width, points: [{x:data.x, y:data.y}] };
-            socket.to(data.roomCode).emit('draw_op', data);
-        } else if (data.op === 'move' && room.gameData.currentStroke) {
-            room.gameData.currentStroke.points.push({x:data.x, y:data.y});
-            socket.to(data.roomCode).emit('draw_op', data);
-        } else if (data.op === 'end' && room.gameData.currentStroke) {
-            room.gameData.history.push(room.gameData.currentStroke);
-            room.gameData.currentStroke = null;
-        }
+    on('send_reaction', ({ roomCode, emoji }) => {
+        const user = rooms[roomCode].users.find(u => u.id === userIdOf(socket));
+        io.to(roomCode).emit('show_reaction', { roomCode, emoji, userId: user.id, username: user.username });
     });
 
-    socket.on('clear', d => { const r = rooms[d.roomCode]; if(r) { r.gameData.history=[]; r.gameData.redoStack=[]; io.to(d.roomCode).emit('clear_canvas'); } });
-    socket.on('undo', ({ roomCode }) => {
+    on('set_room_access', ({ roomCode, visibility, password }) => {
         const room = rooms[roomCode];
-        if(room && room.gameData.history.length > 0) {
-            const lastAction = room.gameData.history.pop();
-            room.gameData.redoStack.push(lastAction);
-            io.to(roomCode).emit('canvas_history', room.gameData.history);
-        }
+        if(visibility) room.visibility = visibility;
+        if(typeof password === 'string') room.password = password ? hashPassword(password) : null;
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    });
+
+    on('lobby_subscribe', () => {
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('lobby_update', { rooms: listPublicRooms() });
+    });
+    on('lobby_unsubscribe', () => socket.leave(LOBBY_CHANNEL));
+
+    on('queue_join', ({ gameType, username, avatar, profileKey }) => {
+        const rating = gameRegistry.isHeadToHead(gameType) ? profiles.ratingOf(profileKey, gameType) : null;
+        matchmaker.join({ id: userIdOf(socket), socketId: socket.id, gameType, username, avatar, profileKey, rating });
+        runMatchmaking();
+    });
+    on('queue_leave', () => {
+        if(matchmaker.leave(userIdOf(socket))) socket.emit('queue_left');
+    });
+
+    // --- MODERATION EVENTS ---
+    const targetOf = (roomCode, userId, event) => {
+        const target = rooms[roomCode].users.find(u => u.id === userId);
+        if(!target) rejectEvent(socket, event, ERR.NOT_IN_ROOM, "That user is not in this room");
+        else if(target.id === userIdOf(socket)) { rejectEvent(socket, event, ERR.FORBIDDEN, "You can't do that to yourself"); return null; }
+        return target;
+    };
+
+    on('kick_user', ({ roomCode, userId }) => {
+        if(targetOf(roomCode, userId, 'kick_user')) expelUser(roomCode, userId, "", false);
+    });
+
+    on('ban_user', ({ roomCode, userId }) => {
+        if(targetOf(roomCode, userId, 'ban_user')) expelUser(roomCode, userId, "", true);
+    });
+
+    on('unban_user', ({ roomCode, userId }) => {
+        const room = rooms[roomCode];
+        room.bans = (room.bans || []).filter(b => b.userId !== userId);
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    });
+
+    on('mute_user', ({ roomCode, userId, muted }) => {
+        const target = targetOf(roomCode, userId, 'mute_user');
+        if(!target) return;
+        target.muted = muted !== false;
+        io.to(userId).emit('sys_msg', target.muted ? "You have been muted." : "You can chat again.");
+        io.to(roomCode).emit('update_room', getRoomState(rooms[roomCode]));
     });
 
-    socket.on('word_select', d => handleWordSelection(d.roomCode, d.word));
-    socket.on('send_reaction', d => io.to(d.roomCode).emit('show_reaction', d));
+    on('transfer_admin', ({ roomCode, userId }) => {
+        const target = targetOf(roomCode, userId, 'transfer_admin');
+        if(!target) return;
+        rooms[roomCode].adminId = target.id;
+        io.to(roomCode).emit('sys_msg', `${target.username} is now the room admin.`);
+        io.to(roomCode).emit('update_room', getRoomState(rooms[roomCode]));
+    });
+
+    on('vote_kick', ({ roomCode, userId }) => {
+        const err = castKickVote(roomCode, userIdOf(socket), userId);
+        if(err) rejectEvent(socket, 'vote_kick', ERR.FORBIDDEN, err);
+    });
     
     socket.on('disconnect', () => {
+         gameRegistry.listGames().forEach(game => game.onDisconnect && game.onDisconnect(socket));
+         matchmaker.leave(userIdOf(socket));
+         const userId = userIdOf(socket);
+         // A newer socket has already taken over this user
+         if(activeSockets[userId] && activeSockets[userId] !== socket.id) return;
+         delete activeSockets[userId];
+
          for(const c in rooms) {
              const r = rooms[c];
-             const i = r.users.findIndex(u=>u.id===socket.id);
-             if(i!==-1){
-                 r.users.splice(i,1); 
-                 io.to(c).emit('sys_msg', "User left.");
-                 
-                 // **CRITICAL FIX: Handle Drawer Disconnect**
-                 if(r.gameType === 'scribble' && r.state === 'DRAWING' && r.gameData.drawerId === socket.id) {
-                     clearInterval(r.gameData.timerInterval);
-                     io.to(c).emit('sys_msg', "Drawer Left! Ending round.");
-                     endScribbleTurn(c, "Drawer disconnected!");
-                 }
-                 else if(r.gameType === 'scribble' && r.state === 'DRAWING') {
-                     // Handle dynamic disconnection for guessing logic
-                     const totalGuessers = r.users.length - 1;
-                     if(r.gameData.guessed.length >= totalGuessers && totalGuessers > 0) {
-                         clearInterval(r.gameData.timerInterval);
-                         endScribbleTurn(c, "Everyone Guessed!");
-                     }
-                 }
-                 
-                 if(r.users.length===0) {
-                     clearInterval(r.gameData?.timerInterval);
-                     delete rooms[c];
-                 } else { 
-                     if(r.adminId===socket.id) r.adminId=r.users[0].id; 
-                     io.to(c).emit('update_room', getRoomState(r)); 
-                 }
+             const u = r.users.find(u=>u.id===userId);
+             if(u){
+                 // Hold the seat for a grace period; resume_session cancels it
+                 u.connected = false;
+                 const game = getGame(r.gameType);
+                 if(game.onPresence) game.onPresence(c);
+                 io.to(c).emit('sys_msg', `${u.username} disconnected. Waiting ${GRACE_PERIOD_MS/1000}s...`);
+                 io.to(c).emit('update_room', getRoomState(r));
+                 clearTimeout(graceTimers[userId]);
+                 graceTimers[userId] = setTimeout(() => {
+                     delete graceTimers[userId];
+                     removeUser(c, userId);
+                 }, GRACE_PERIOD_MS);
                  break;
              }
          }
     });
 });
 
+// --- PERSISTENCE ---
+// Rooms are snapshotted to the store every few seconds and on shutdown. Timers are
+// never stored: each phase keeps a wall-clock deadline and is re-armed on boot.
+const store = createRoomStore();
+const SNAPSHOT_INTERVAL_MS = 2000;
+const RESTART_GRACE_MS = 120000;
+
+function serializeRooms() {
+    const out = {};
+    for(const code in rooms) {
+        const game = getGame(rooms[code].gameType);
+        let gd = { ...rooms[code].gameData };
+        delete gd.timerInterval;
+        if(game.serialize) gd = game.serialize(gd);
+        out[code] = { ...rooms[code], gameData: gd };
+    }
+    return { savedAt: Date.now(), rooms: out, sessions };
+}
+
+function restoreRooms() {
+    const snap = store.load();
+    if(!snap || !snap.rooms) return;
+    // Downtime doesn't count against anyone's turn
+    const shift = Date.now() - snap.savedAt;
+
+    Object.assign(sessions, snap.sessions || {});
+    for(const code in snap.rooms) {
+        const room = snap.rooms[code];
+        const game = getGame(room.gameType);
+        if(!game) { console.log(`Dropping room ${code}: unknown game type ${room.gameType}`); continue; }
+        // Snapshots from before a setting existed pick up its default
+        room.settings = { ...game.defaultSettings(), ...room.settings };
+        const gd = room.gameData;
+        if(gd.phaseEndsAt) gd.phaseEndsAt += shift;
+        if(game.restore) game.restore(gd, shift);
+        rooms[code] = room;
+
+        // Nobody is connected after a restart; hold every seat until they resume
+        room.users.forEach(u => {
+            u.connected = false;
+            graceTimers[u.id] = setTimeout(() => {
+                delete graceTimers[u.id];
+                removeUser(code, u.id);
+            }, RESTART_GRACE_MS);
+        });
+
+        game.resume(code);
+        tournaments.resume(code, shift);
+        if(room.voteKick) {
+            room.voteKick.endsAt += shift;
+            armVoteExpiry(code, room.voteKick);
+        }
+    }
+    console.log(`Restored ${Object.keys(snap.rooms).length} room(s)`);
+}
+
+function persistRooms() {
+    return store.save(serializeRooms());
+}
+
+restoreRooms();
+setInterval(persistRooms, SNAPSHOT_INTERVAL_MS);
+
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+    try { store.saveSync(serializeRooms()); } catch (e) { console.log(`Room store: final save failed: ${e.message}`); }
+    try { profiles.saveSync(); } catch (e) { console.log(`Profile store: final save failed: ${e.message}`); }
+    process.exit(0);
+}));
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => console.log(`Server on ${PORT}`));
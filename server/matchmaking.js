@@ -0,0 +1,117 @@
+// --- MATCHMAKING ---
+// Per-game-type waiting queues. Nothing here touches sockets or rooms: callers
+// join/leave entries and call tick() on an interval to collect what's ready.
+//   entry: { id, gameType, rating|null, joinedAt, ...anything the caller needs }
+// Two-player games pair the closest ratings inside a window that widens the
+// longer someone waits; entries without a rating pair with anyone. Two-player
+// game types are the registry's head-to-head games.
+const { isHeadToHead } = require('./gameRegistry');
+
+function createMatchmaker({
+    scribbleSize = 4,
+    scribbleMin = 2,
+    fillMs = 20000,          // a partial scribble room starts once its oldest entry waited this long
+    timeoutMs = 120000,
+    ratingWindow = 100,
+    windowGrowth = 50        // extra rating points allowed per 10s waited
+} = {}) {
+    const queues = {};
+
+    function queueOf(gameType) {
+        return queues[gameType] || (queues[gameType] = []);
+    }
+
+    function leave(id) {
+        for(const gameType in queues) {
+            const i = queues[gameType].findIndex(e => e.id === id);
+            if(i !== -1) return queues[gameType].splice(i, 1)[0];
+        }
+        return null;
+    }
+
+    // Re-joining moves the entry to the back; requeue() keeps its place
+    function join(entry) {
+        leave(entry.id);
+        const full = { rating: null, ...entry, joinedAt: Date.now() };
+        queueOf(full.gameType).push(full);
+        return full;
+    }
+
+    function requeue(entry) {
+        leave(entry.id);
+        const q = queueOf(entry.gameType);
+        q.push(entry);
+        q.sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    function allowedGap(a, b, now) {
+        const waited = now - Math.min(a.joinedAt, b.joinedAt);
+        return ratingWindow + windowGrowth * Math.floor(waited / 10000);
+    }
+
+    function pairUp(q, now) {
+        const matches = [];
+        const taken = new Set();
+        q.forEach(a => {
+            if(taken.has(a.id)) return;
+            let best = null, bestCost = Infinity;
+            q.forEach(b => {
+                if(b === a || taken.has(b.id)) return;
+                const gap = allowedGap(a, b, now);
+                const rated = a.rating !== null && b.rating !== null;
+                if(rated && Math.abs(a.rating - b.rating) > gap) return;
+                // Unrated partners are acceptable but rank behind any rated fit
+                const cost = rated ? Math.abs(a.rating - b.rating) : gap;
+                if(cost < bestCost) { best = b; bestCost = cost; }
+            });
+            if(best) {
+                taken.add(a.id); taken.add(best.id);
+                matches.push([a, best]);
+            }
+        });
+        return matches;
+    }
+
+    function gather(q, now) {
+        const matches = [];
+        let i = 0;
+        while(q.length - i >= scribbleSize) {
+            matches.push(q.slice(i, i + scribbleSize));
+            i += scribbleSize;
+        }
+        const rest = q.slice(i);
+        if(rest.length >= scribbleMin && now - rest[0].joinedAt >= fillMs) matches.push(rest);
+        return matches;
+    }
+
+    // Returns { matches: [{ gameType, entries }], timedOut: [entry] } and drops both from the queues
+    function tick(now = Date.now()) {
+        const matches = [];
+        const timedOut = [];
+        for(const gameType in queues) {
+            const q = queues[gameType];
+            const found = isHeadToHead(gameType) ? pairUp(q, now) : gather(q, now);
+            found.forEach(entries => matches.push({ gameType, entries }));
+            const matched = new Set(found.flat().map(e => e.id));
+            queues[gameType] = q.filter(e => {
+                if(matched.has(e.id)) return false;
+                if(now - e.joinedAt >= timeoutMs) { timedOut.push(e); return false; }
+                return true;
+            });
+        }
+        return { matches, timedOut };
+    }
+
+    // [{ entry, position, waiting }] for every queued entry, 1-based positions
+    function positions() {
+        const out = [];
+        for(const gameType in queues) {
+            queues[gameType].forEach((entry, i) => out.push({ entry, position: i + 1, waiting: queues[gameType].length }));
+        }
+        return out;
+    }
+
+    return { join, leave, requeue, tick, positions, scribbleSize };
+}
+
+module.exports = { createMatchmaker };
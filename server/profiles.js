@@ -0,0 +1,190 @@
+// --- PLAYER PROFILES ---
+// Long-term player records, keyed by a profile key the client keeps and sends
+// with join_room / queue_join. Only a hash of the key is stored; the profile's
+// public id is what rooms, routes and match history show.
+//   profile: { id, username, createdAt, lastSeenAt,
+//              ratings: { [gameType]: { rating, games, wins, draws, losses } },
+//              scribble: { games, wins, points, wordsGuessed, guessMs, drawings, drawingsGuessed } }
+//   match:   { id, gameType, roomName, at, players: [{ profileId, username, ... }] }
+// Head-to-head results move Elo ratings; games against bots are never recorded.
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore, createJsonFileStore } = require('./roomStore');
+
+const START_RATING = 1200;
+const PROVISIONAL_GAMES = 20; // ratings move faster until a player has this many games
+const MAX_MATCHES = 5000;
+const HISTORY_LIMIT = 20;
+const LEADERBOARD_LIMIT = 50;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+function emptyScribble() {
+    return { games: 0, wins: 0, points: 0, wordsGuessed: 0, guessMs: 0, drawings: 0, drawingsGuessed: 0 };
+}
+
+// `score` is 1 for a win, 0.5 for a draw, 0 for a loss
+function outcomeOf(score) {
+    return score === 1 ? 'win' : score === 0 ? 'loss' : 'draw';
+}
+
+function createProfiles(store) {
+    const data = { profiles: {}, keys: {}, matches: [], ...(store.load() || {}) };
+    const save = () => store.save(data);
+
+    function profileForKey(key) {
+        const id = typeof key === 'string' && data.keys[hashKey(key)];
+        return id ? data.profiles[id] : null;
+    }
+
+    function idForKey(key) {
+        const profile = profileForKey(key);
+        return profile ? profile.id : null;
+    }
+
+    // { key, profile } for a known key; anything else gets a new profile and a fresh key
+    function identify(key, username) {
+        let profile = profileForKey(key);
+        if(!profile) {
+            key = crypto.randomBytes(24).toString('hex');
+            const id = crypto.randomBytes(6).toString('hex');
+            profile = { id, username, createdAt: Date.now(), lastSeenAt: null, ratings: {}, scribble: emptyScribble() };
+            data.keys[hashKey(key)] = id;
+            data.profiles[id] = profile;
+        }
+        profile.username = username || profile.username;
+        profile.lastSeenAt = Date.now();
+        save();
+        return { key, profile: publicProfile(profile) };
+    }
+
+    function ratingEntry(profile, gameType) {
+        return profile.ratings[gameType] || (profile.ratings[gameType] = { rating: START_RATING, games: 0, wins: 0, draws: 0, losses: 0 });
+    }
+
+    // Matchmaking rating for a key, or null when the key has no profile yet
+    function ratingOf(key, gameType) {
+        const profile = profileForKey(key);
+        if(!profile) return null;
+        return profile.ratings[gameType] ? profile.ratings[gameType].rating : START_RATING;
+    }
+
+    function addMatch(match) {
+        const full = { id: crypto.randomBytes(6).toString('hex'), at: Date.now(), ...match };
+        data.matches.push(full);
+        if(data.matches.length > MAX_MATCHES) data.matches.splice(0, data.matches.length - MAX_MATCHES);
+        save();
+        return full;
+    }
+
+    // Rates one decided game between profiles `aId` and `bId`; `scoreA` is a's score (1, 0.5 or 0)
+    function recordHeadToHead(gameType, aId, bId, scoreA, { roomName } = {}) {
+        const pa = data.profiles[aId], pb = data.profiles[bId];
+        if(!pa || !pb || aId === bId) return null;
+        const ra = ratingEntry(pa, gameType), rb = ratingEntry(pb, gameType);
+        const before = [ra.rating, rb.rating];
+        const expected = expectedScore(ra.rating, rb.rating);
+
+        [[ra, scoreA, expected], [rb, 1 - scoreA, 1 - expected]].forEach(([r, score, exp]) => {
+            const k = r.games < PROVISIONAL_GAMES ? 40 : 20;
+            r.rating = Math.round(r.rating + k * (score - exp));
+            r.games++;
+            if(score === 1) r.wins++;
+            else if(score === 0) r.losses++;
+            else r.draws++;
+        });
+
+        return addMatch({ gameType, roomName, players: [
+            { profileId: aId, username: pa.username, result: outcomeOf(scoreA), ratingBefore: before[0], ratingAfter: ra.rating },
+            { profileId: bId, username: pb.username, result: outcomeOf(1 - scoreA), ratingBefore: before[1], ratingAfter: rb.rating }
+        ] });
+    }
+
+    // One scribble turn: `drawer` is a profile id or null, `guesses` are { profileId, elapsedMs }
+    function recordScribbleTurn({ drawer, guesses }) {
+        guesses.forEach(g => {
+            const p = data.profiles[g.profileId];
+            if(!p) return;
+            p.scribble.wordsGuessed++;
+            p.scribble.guessMs += g.elapsedMs;
+        });
+        const d = drawer && data.profiles[drawer];
+        if(d) {
+            d.scribble.drawings++;
+            if(guesses.length) d.scribble.drawingsGuessed++;
+        }
+        save();
+    }
+
+    // Final scribble standings: [{ profileId, username, score, rank }]
+    function recordScribbleGame(standings, { roomName } = {}) {
+        const players = standings.filter(s => data.profiles[s.profileId]);
+        if(players.length === 0) return null;
+        players.forEach(s => {
+            const stats = data.profiles[s.profileId].scribble;
+            stats.games++;
+            stats.points += s.score;
+            if(s.rank === 1 && players.length > 1) stats.wins++;
+        });
+        return addMatch({ gameType: 'scribble', roomName, players: players.map(({ profileId, username, score, rank }) => ({ profileId, username, score, rank })) });
+    }
+
+    function publicProfile(profile) {
+        const s = profile.scribble;
+        return { ...profile, scribble: { ...s, avgGuessMs: s.wordsGuessed ? Math.round(s.guessMs / s.wordsGuessed) : null } };
+    }
+
+    function getProfile(id) {
+        return data.profiles[id] ? publicProfile(data.profiles[id]) : null;
+    }
+
+    // Newest first
+    function history(id, limit = HISTORY_LIMIT) {
+        const out = [];
+        for(let i = data.matches.length - 1; i >= 0 && out.length < limit; i--) {
+            if(data.matches[i].players.some(p => p.profileId === id)) out.push(data.matches[i]);
+        }
+        return out;
+    }
+
+    // Rated games rank by rating; scribble ranks by wins, then points
+    function leaderboard(gameType, limit = LEADERBOARD_LIMIT) {
+        const all = Object.values(data.profiles);
+        const rows = gameType === 'scribble'
+            ? all.filter(p => p.scribble.games > 0)
+                .map(p => ({ id: p.id, username: p.username, ...publicProfile(p).scribble }))
+                .sort((a, b) => b.wins - a.wins || b.points - a.points)
+            : all.filter(p => p.ratings[gameType] && p.ratings[gameType].games > 0)
+                .map(p => ({ id: p.id, username: p.username, ...p.ratings[gameType] }))
+                .sort((a, b) => b.rating - a.rating);
+        return rows.slice(0, limit).map((row, i) => ({ rank: i + 1, ...row }));
+    }
+
+    return {
+        identify,
+        idForKey,
+        ratingOf,
+        recordHeadToHead,
+        recordScribbleTurn,
+        recordScribbleGame,
+        getProfile,
+        history,
+        leaderboard,
+        saveSync: () => store.saveSync(data)
+    };
+}
+
+// PROFILE_STORE=json (default) | memory; PROFILE_STORE_PATH overrides the JSON file location
+function createProfileStore(kind = process.env.PROFILE_STORE || 'json') {
+    if(kind === 'memory') return createMemoryStore();
+    if(kind === 'json') return createJsonFileStore(process.env.PROFILE_STORE_PATH || path.join(__dirname, 'data', 'profiles.json'));
+    throw new Error(`Unknown profile store "${kind}"`);
+}
+
+module.exports = { createProfiles, createProfileStore, START_RATING };
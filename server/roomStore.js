@@ -0,0 +1,68 @@
+// --- ROOM STORE ---
+// Storage backends for room snapshots. Every store exposes the same three calls:
+//   load()      -> last snapshot or null
+//   save(snap)  -> async write (coalesced, latest wins)
+//   saveSync(snap) -> blocking write used on shutdown
+const fs = require('fs');
+const path = require('path');
+
+function createMemoryStore() {
+    let last = null;
+    return {
+        load: () => last,
+        save: (snapshot) => { last = snapshot; return Promise.resolve(); },
+        saveSync: (snapshot) => { last = snapshot; }
+    };
+}
+
+function createJsonFileStore(file) {
+    let writing = false;
+    let pending = null;
+
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            if(e.code !== 'ENOENT') console.log(`Room store: could not read ${file}: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Write to a temp file and rename so a crash mid-write never leaves half a snapshot
+    async function flush() {
+        writing = true;
+        while(pending) {
+            const data = JSON.stringify(pending);
+            pending = null;
+            const tmp = `${file}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(tmp, data);
+                await fs.promises.rename(tmp, file);
+            } catch (e) { console.log(`Room store: write failed: ${e.message}`); }
+        }
+        writing = false;
+    }
+
+    function save(snapshot) {
+        pending = snapshot;
+        return writing ? Promise.resolve() : flush();
+    }
+
+    function saveSync(snapshot) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    return { load, save, saveSync };
+}
+
+// ROOM_STORE=json (default) | memory; ROOM_STORE_PATH overrides the JSON file location
+function createRoomStore(kind = process.env.ROOM_STORE || 'json') {
+    if(kind === 'memory') return createMemoryStore();
+    if(kind === 'json') return createJsonFileStore(process.env.ROOM_STORE_PATH || path.join(__dirname, 'data', 'rooms.json'));
+    throw new Error(`Unknown room store "${kind}"`);
+}
+
+module.exports = { createRoomStore, createMemoryStore, createJsonFileStore };
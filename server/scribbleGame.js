@@ -0,0 +1,831 @@
+// --- SCRIBBLE ---
+// Game module (see gameRegistry.js). Turns run SELECTING -> DRAWING -> ROUND_OVER
+// off wall-clock deadlines in gameData.phaseEndsAt, checked once a second by tick().
+// In team mode (settings.teamMode) only the drawer's team can score a word, unless
+// a steal window opens for the other teams; see scribbleTeams.js.
+const wordPacks = require('./wordPacks');
+const scribbleScoring = require('./scribbleScoring');
+const scribbleTeams = require('./scribbleTeams');
+const canvasModel = require('./canvasModel');
+const strokeStream = require('./strokeStream');
+const drawingSvg = require('./drawingSvg');
+const guessMatch = require('./guessMatch');
+const { GameError } = require('./gameRegistry');
+const { ERR, checks } = require('./eventSchemas');
+const { str, int, num, arr, oneOf, opt, roomCode } = checks;
+const userId = str(40);
+
+const PICK_TIME = 15;
+const MAX_STEAL_SECONDS = 30;
+const ROUND_COOLDOWN_MS = 5000;
+const DRAW_OPS = ['fill', 'start', 'points', 'move', 'end', 'shape'];
+
+const MAX_GALLERY = 100;
+const REPLAY_MAX_GAP_MS = 2000; // idle stretches are squeezed so replays don't stall
+const REPLAY_CHUNK = 8;         // stroke points per replay packet
+
+// Returns `count` choices as [{ word, difficulty }], skipping words already used this game
+function getRandomWords(count, settings = {}, usedWords = []) {
+    const customWords = settings.customWords;
+    const validCustom = Array.isArray(customWords)
+        ? customWords.filter(w => w && typeof w === 'string' && w.trim().length > 0)
+        : [];
+
+    if(validCustom.length > 0) {
+        const fresh = validCustom.filter(w => !usedWords.includes(w));
+        const pool = fresh.length >= count ? fresh : validCustom;
+        return wordPacks.shuffle(pool.slice()).slice(0, count).map(word => ({ word, difficulty: null }));
+    }
+    return wordPacks.pickWords({
+        packIds: settings.wordPacks,
+        mix: wordPacks.sanitizeMix(settings.difficultyMix, count),
+        exclude: usedWords
+    });
+}
+
+function maskWord(word, revealed) {
+    return word.split('').map((c,i) => ((revealed && revealed.has(i)) || c===' ') ? c : '_').join(' ');
+}
+
+function secondsLeft(deadline) {
+    return Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+}
+
+// ms since the drawer picked the word; stamped on canvas objects for replays
+function turnClock(room) {
+    return room.gameData.turnStartedAt ? Date.now() - room.gameData.turnStartedAt : 0;
+}
+
+// Standard competition ranking: equal scores share a rank (1, 1, 3)
+function rankPlayers(players) {
+    const sorted = players.slice().sort((a,b) => b.score - a.score);
+    let rank = 0;
+    return sorted.map((u, i) => {
+        if (i === 0 || u.score !== sorted[i-1].score) rank = i + 1;
+        return { ...u, rank };
+    });
+}
+
+// Flattens a drawing into timed packets: whole objects appear at t0 and strokes
+// are re-drawn in chunks, each sent when its last point was drawn. Stroke points
+// carry that time as `t`; strokes saved before they did spread evenly up to t1.
+function buildReplay(drawing) {
+    const events = [];
+    drawing.objects.forEach(o => {
+        const t0 = o.t0 || 0;
+        if(o.op !== 'stroke' || o.points.length <= REPLAY_CHUNK) {
+            events.push({ at: t0, op: { op: 'add', object: o } });
+            return;
+        }
+        const t1 = Math.max(t0, o.t1 || t0);
+        const chunks = Math.ceil(o.points.length / REPLAY_CHUNK);
+        for(let i = 0; i < chunks; i++) {
+            const points = o.points.slice(i * REPLAY_CHUNK, (i + 1) * REPLAY_CHUNK);
+            const last = points[points.length - 1];
+            const at = last.t !== undefined ? last.t : t0 + (t1 - t0) * i / (chunks - 1);
+            events.push({ at, op: i === 0 ? { op: 'add', object: { ...o, points } } : { op: 'points', id: o.id, points } });
+        }
+    });
+    events.sort((a, b) => a.at - b.at);
+    let prev = 0, shift = 0;
+    events.forEach(e => {
+        shift += Math.max(0, e.at - prev - REPLAY_MAX_GAP_MS);
+        prev = e.at;
+        e.at -= shift;
+    });
+    return events;
+}
+
+function createScribbleGame({ io, rooms, getPlayers, getRoomState, spectatorChannel, startTicking, stopTicking, reportTurn, reportStandings }) {
+
+    // --- TURNS ---
+    function startTurn(roomCode) {
+        const room = rooms[roomCode];
+        if (!room) return;
+
+        // Every end condition is checked here, at a turn boundary
+        const endReason = getEndReason(room);
+        if (endReason) {
+            finishGame(roomCode, endReason);
+            return;
+        }
+
+        // New round: rebuild the drawer order from whoever is seated now
+        if (!room.gameData.drawOrder || room.gameData.drawerIdx >= room.gameData.drawOrder.length) {
+            if (room.gameData.drawOrder) room.gameData.round++;
+            room.gameData.drawerIdx = 0;
+            room.gameData.drawOrder = buildDrawOrder(room);
+            startTurn(roomCode);
+            return;
+        }
+
+        const drawer = getPlayers(room).find(u => u.id === room.gameData.drawOrder[room.gameData.drawerIdx]);
+
+        // **SAFETY CHECK**: If drawer user doesn't exist (left the game), skip to next person
+        if(!drawer) {
+            room.gameData.drawerIdx++;
+            startTurn(roomCode);
+            return;
+        }
+
+        room.gameData.drawerId = drawer.id;
+        room.gameData.word = null;
+        room.gameData.guessed = [];
+        room.gameData.canvas = canvasModel.createCanvas();
+        room.gameData.currentStroke = null;
+        room.gameData.objectsDrawn = 0;
+        room.gameData.revealedIndices = new Set();
+        room.gameData.hintsGiven = 0;
+        room.gameData.wrongGuesses = 0;
+        room.gameData.turnScores = [];
+        room.gameData.turnStartedAt = null;
+        room.gameData.stealOpen = false;
+        room.gameData.stolenBy = null;
+
+        io.to(roomCode).emit('clear_canvas');
+
+        room.state = "SELECTING";
+        io.to(roomCode).emit('update_room', getRoomState(room));
+
+        io.to(roomCode).emit('scribble_state', {
+            state: "SELECTING",
+            drawerId: drawer.id,
+            drawerName: drawer.username,
+            drawerAvatar: drawer.avatar,
+            round: room.gameData.round,
+            totalRounds: room.settings.rounds,
+            turn: room.gameData.drawerIdx + 1,
+            totalTurns: getPlayers(room).length
+        });
+
+        io.to(roomCode).emit('sfx', 'picking');
+
+        const options = getRandomWords(3, room.settings, room.gameData.usedWords || []);
+        if(options.length === 0) {
+            finishGame(roomCode, "Out of words!");
+            return;
+        }
+        room.gameData.wordOptions = options;
+        io.to(drawer.id).emit('pick_word', { words: options.map(o => o.word), options });
+
+        room.gameData.phaseEndsAt = Date.now() + PICK_TIME * 1000;
+        armPhase(roomCode);
+    }
+
+    function buildDrawOrder(room) {
+        const players = getPlayers(room);
+        if (room.gameData.teams) {
+            // Late joiners are put on a team here, at the start of a round
+            scribbleTeams.fillTeams(players, room.gameData.teams.length);
+            return scribbleTeams.drawOrder(room.settings.randomOrder ? wordPacks.shuffle(players.slice()) : players, room.gameData.teams.length);
+        }
+        const ids = players.map(u => u.id);
+        return room.settings.randomOrder ? wordPacks.shuffle(ids) : ids;
+    }
+
+    // settings.endCondition: 'rounds' (fixed count), 'score' (first to maxScore) or 'timed' (session length)
+    function getEndReason(room) {
+        const players = getPlayers(room);
+        if (players.length === 0) return "Everyone left!";
+        const mode = room.settings.endCondition || 'rounds';
+        if (mode === 'score') {
+            const scores = room.gameData.teams || players;
+            if (scores.some(u => u.score >= room.settings.maxScore)) return `${room.settings.maxScore} points reached!`;
+        } else if (mode === 'timed') {
+            if (Date.now() >= room.gameData.sessionEndsAt) return "Time's up for this session!";
+        } else if (room.gameData.round > room.settings.rounds) {
+            return "Final Standings!";
+        }
+        return null;
+    }
+
+    function finishGame(roomCode, reason) {
+        const room = rooms[roomCode];
+        stopTicking(roomCode);
+        room.state = "GAME_OVER";
+        // With teams, every player takes their team's rank
+        const teams = teamResults(room);
+        const standings = teams ? scribbleTeams.rankByTeam(getPlayers(room), teams) : rankPlayers(getPlayers(room));
+        const winners = standings.filter(u => u.rank === 1);
+        const topTeams = teams ? teams.filter(t => t.rank === 1) : [];
+        const names = teams ? topTeams.map(t => t.name) : winners.map(u => u.username);
+        const headline = names.length > 1
+            ? `It's a tie between ${names.join(' & ')}!`
+            : (names[0] ? `${teams ? `Team ${names[0]}` : names[0]} wins!` : "");
+
+        io.to(roomCode).emit('game_over_alert', {
+            title: "GAME OVER",
+            msg: `${reason} ${headline}`.trim(),
+            leaderboard: standings,
+            winners: winners.map(u => u.id),
+            teams,
+            gallery: gallerySummary(roomCode, room),
+            isFinal: true
+        });
+        reportStandings(roomCode, standings);
+        room.state = "LOBBY";
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    }
+
+    function selectWord(roomCode, word) {
+        const room = rooms[roomCode]; if(!room) return;
+
+        const option = (room.gameData.wordOptions || []).find(o => o.word === word);
+        room.gameData.word = word;
+        room.gameData.wordAliases = option && option.aliases ? option.aliases : [];
+        room.gameData.wordOptions = null;
+        room.gameData.usedWords = [...(room.gameData.usedWords || []), word];
+        room.state = "DRAWING";
+        room.gameData.revealedIndices = new Set();
+        room.gameData.hintStage = 0;
+        room.gameData.turnStartedAt = Date.now();
+        room.gameData.phaseEndsAt = room.gameData.turnStartedAt + room.settings.time * 1000;
+
+        // A drawer with no teammates leaves the whole turn to the other teams
+        if(room.gameData.teams && room.settings.stealSeconds > 0 && scorers(room).length === 0) room.gameData.stealOpen = true;
+
+        const masked = maskWord(word);
+
+        io.to(roomCode).emit('update_room', getRoomState(room));
+
+        io.to(roomCode).emit('scribble_state', {
+            state: "DRAWING",
+            drawerId: room.gameData.drawerId,
+            maskedWord: masked,
+            wordLength: word.length,
+            time: room.settings.time,
+            round: room.gameData.round,
+            totalRounds: room.settings.rounds,
+            turn: room.gameData.drawerIdx + 1,
+            totalTurns: getPlayers(room).length
+        });
+
+        io.to(room.gameData.drawerId).emit('drawer_secret', word);
+
+        const drawerName = room.users.find(u=>u.id===room.gameData.drawerId)?.username || "Drawer";
+        io.to(roomCode).emit('sys_msg', `🎨 ${drawerName} is drawing!`);
+        io.to(roomCode).emit('sfx', 'start');
+
+        armPhase(roomCode);
+    }
+
+    // (Re)starts the per-second tick for the current phase from its stored deadline
+    function armPhase(roomCode) {
+        const room = rooms[roomCode];
+        if(room.state === 'SELECTING') io.to(roomCode).emit('timer_sync', { total: secondsLeft(room.gameData.phaseEndsAt), msg: "Picking..." });
+        else if(room.state === 'DRAWING') io.to(roomCode).emit('timer_sync', { total: secondsLeft(room.gameData.phaseEndsAt), msg: guessPrompt(room) });
+        startTicking(roomCode);
+    }
+
+    function tick(roomCode) {
+        const room = rooms[roomCode];
+        if(room.state === 'SELECTING') {
+            const pickTime = secondsLeft(room.gameData.phaseEndsAt);
+            io.to(roomCode).emit('timer_sync', { total: pickTime, msg: "Picking..." });
+            if(pickTime > 0) return;
+            const first = (room.gameData.wordOptions || [])[0];
+            if(first) selectWord(roomCode, first.word);
+            else endTurn(roomCode, "No word was picked");
+        } else if(room.state === 'DRAWING') {
+            const time = secondsLeft(room.gameData.phaseEndsAt);
+            io.to(roomCode).emit('timer_sync', { total: time, msg: guessPrompt(room) });
+
+            // One hint when 20s are left and another at 10s; a stuck room gets them early
+            const due = time <= 10 ? 2 : (time <= 20 ? 1 : 0);
+            const shouldReveal = room.gameData.hintStage < due || (room.gameData.wrongGuesses > 8 && time > 20);
+            room.gameData.hintStage = Math.max(room.gameData.hintStage, due);
+            if(shouldReveal) revealHint(roomCode);
+
+            if(time <= 0 && canOpenSteal(room)) {
+                openSteal(roomCode);
+            } else if(time <= 0) {
+                io.to(roomCode).emit('sfx', 'timeover');
+                endTurn(roomCode, `Time's up!`);
+            }
+        } else if(room.state === 'ROUND_OVER') {
+            if(Date.now() < room.gameData.phaseEndsAt) return;
+            room.gameData.drawerIdx++;
+            startTurn(roomCode);
+        } else {
+            stopTicking(roomCode);
+        }
+    }
+
+    function revealHint(roomCode) {
+        const room = rooms[roomCode];
+        const word = room.gameData.word;
+        const isTough = word.length >= 6;
+        const maxHints = word.length <= 4 ? 1 : (word.length > 7 ? 3 : 2);
+        if(room.gameData.hintsGiven >= maxHints || room.gameData.revealedIndices.size >= word.length - 1) return;
+
+        let idxToReveal = -1;
+        if(isTough && !room.gameData.revealedIndices.has(0)) {
+            idxToReveal = 0;
+        } else {
+            const unrevealed = [];
+            for(let i=0; i<word.length; i++) {
+                if(word[i]!==' ' && !room.gameData.revealedIndices.has(i)) unrevealed.push(i);
+            }
+            if(unrevealed.length > 0) {
+                idxToReveal = unrevealed[Math.floor(Math.random() * unrevealed.length)];
+            }
+        }
+        if(idxToReveal === -1) return;
+
+        room.gameData.revealedIndices.add(idxToReveal);
+        room.gameData.hintsGiven++;
+
+        io.to(roomCode).emit('scribble_state', {
+            state: "DRAWING",
+            drawerId: room.gameData.drawerId,
+            maskedWord: maskWord(word, room.gameData.revealedIndices),
+            round: room.gameData.round,
+            totalRounds: room.settings.rounds,
+            turn: room.gameData.drawerIdx + 1,
+            totalTurns: getPlayers(room).length
+        });
+        io.to(roomCode).emit('sfx', 'hint');
+    }
+
+    function endTurn(roomCode, reason) {
+        const room = rooms[roomCode];
+        if(!room || (room.state !== 'SELECTING' && room.state !== 'DRAWING')) return;
+        const wasDrawing = room.state === 'DRAWING';
+        room.state = "ROUND_OVER";
+
+        // Drawer is paid once per turn, by the share of guessers who got it (their own team's, in team mode)
+        const drawer = room.users.find(u=>u.id===room.gameData.drawerId);
+        if(wasDrawing && drawer) {
+            const onTeam = id => !room.gameData.teams || teamOf(room, id) === drawer.team;
+            const points = scribbleScoring.drawerPoints({
+                guessed: room.gameData.guessed.filter(onTeam).length,
+                totalGuessers: getPlayers(room).filter(u => u.id !== drawer.id && onTeam(u.id)).length
+            });
+            credit(room, drawer, points);
+            room.gameData.turnScores.push({ userId: drawer.id, username: drawer.username, role: 'drawer', points });
+        }
+        if(wasDrawing) {
+            archiveDrawing(room, drawer);
+            reportTurn(roomCode, room.gameData.turnScores);
+        }
+
+        const lb = getPlayers(room).sort((a,b) => b.score - a.score);
+        const correctWord = room.gameData.word;
+
+        io.to(roomCode).emit('game_over_alert', {
+            title: "ROUND OVER",
+            msg: reason,
+            word: correctWord,
+            leaderboard: lb,
+            breakdown: room.gameData.turnScores,
+            teams: teamResults(room),
+            isFinal: false
+        });
+
+        io.to(roomCode).emit('sfx', 'round_end');
+
+        room.gameData.phaseEndsAt = Date.now() + ROUND_COOLDOWN_MS;
+        armPhase(roomCode);
+    }
+
+    // --- DRAWING GALLERY ---
+    function archiveDrawing(room, drawer) {
+        const gallery = room.gameData.gallery || (room.gameData.gallery = []);
+        if(gallery.length >= MAX_GALLERY) return;
+        gallery.push({
+            turn: gallery.length + 1,
+            round: room.gameData.round,
+            word: room.gameData.word,
+            drawerId: room.gameData.drawerId,
+            drawerName: drawer ? drawer.username : "Unknown",
+            duration: turnClock(room),
+            objects: room.gameData.canvas.objects.slice()
+        });
+    }
+
+    function galleryEntry(room, turn) {
+        const gallery = room && room.gameType === 'scribble' ? room.gameData.gallery : null;
+        return gallery ? gallery.find(d => d.turn === turn) || null : null;
+    }
+
+    function gallerySummary(roomCode, room) {
+        return (room.gameData.gallery || []).map(d => ({
+            turn: d.turn, round: d.round, word: d.word, drawerName: d.drawerName,
+            svg: `/rooms/${roomCode}/drawings/${d.turn}.svg`
+        }));
+    }
+
+    // --- TEAMS ---
+    function teamOf(room, id) {
+        const u = room.users.find(u => u.id === id);
+        return u ? u.team : undefined;
+    }
+
+    // Ranked team scores with their current members, or null outside team mode
+    function teamResults(room) {
+        return room.gameData.teams ? rankPlayers(scribbleTeams.teamStandings(room.gameData.teams, getPlayers(room))) : null;
+    }
+
+    // Points always go to the player; in team mode their team gets them too
+    function credit(room, user, points) {
+        user.score += points;
+        const team = room.gameData.teams && room.gameData.teams[user.team];
+        if(team) team.score += points;
+    }
+
+    // The drawer's teammates score the word; during a steal only the other teams do, and only once
+    function canScore(room, user) {
+        if(!room.gameData.teams) return true;
+        if(!room.gameData.teams[user.team]) return false;
+        const drawingTeam = user.team === teamOf(room, room.gameData.drawerId);
+        return room.gameData.stealOpen ? !drawingTeam && !room.gameData.stolenBy : drawingTeam;
+    }
+
+    function scorers(room) {
+        return getPlayers(room).filter(u => u.id !== room.gameData.drawerId && canScore(room, u));
+    }
+
+    function allGuessed(room) {
+        const left = scorers(room);
+        return left.length > 0 && left.every(u => room.gameData.guessed.includes(u.id));
+    }
+
+    function guessPrompt(room) {
+        return room.gameData.stealOpen ? "Steal!" : "Guess!";
+    }
+
+    // The other teams get settings.stealSeconds when the drawing team runs out of time without the word
+    function canOpenSteal(room) {
+        if(!room.gameData.teams || !(room.settings.stealSeconds > 0) || room.gameData.stealOpen || room.gameData.guessed.length > 0) return false;
+        const drawingTeam = teamOf(room, room.gameData.drawerId);
+        return getPlayers(room).some(u => room.gameData.teams[u.team] && u.team !== drawingTeam);
+    }
+
+    function openSteal(roomCode) {
+        const room = rooms[roomCode];
+        room.gameData.stealOpen = true;
+        room.gameData.phaseEndsAt = Date.now() + room.settings.stealSeconds * 1000;
+        const team = room.gameData.teams[teamOf(room, room.gameData.drawerId)];
+        io.to(roomCode).emit('sys_msg', `⏰ ${team ? `Team ${team.name}` : "The drawing team"} ran out of time! ${room.settings.stealSeconds}s for the other teams to steal it.`);
+        io.to(roomCode).emit('update_room', getRoomState(room));
+        armPhase(roomCode);
+    }
+
+    // --- GUESSES ---
+    // Scores guesses while a word is live; anything not consumed here is ordinary chat
+    function onChat(roomCode, user, text, socket) {
+        const room = rooms[roomCode];
+        if(room.state !== 'DRAWING') return false;
+
+        // Spectators never guess; while a word is live their chat stays on the spectator channel
+        if(user.role === 'spectator') {
+            if(!user.muted) io.to(spectatorChannel(roomCode)).emit('spectator_chat_receive', { username: user.username, text, avatar: user.avatar });
+            return true;
+        }
+        if(user.id === room.gameData.drawerId) return true;
+
+        // Whoever already has the word only talks to the others who have it
+        if(room.gameData.guessed.includes(user.id)) {
+            if(user.muted) socket.emit('chat_receive', { username: "System", text: "You are muted.", type: 'muted' });
+            else io.to([room.gameData.drawerId, ...room.gameData.guessed]).emit('chat_receive', { username: user.username, text, avatar: user.avatar, type: 'guessed' });
+            return true;
+        }
+
+        // Team mode: players who can't score right now only talk to their own team
+        if(!canScore(room, user)) return teamChat(room, user, text, socket);
+
+        const result = guessMatch.matchGuess(text, room.gameData.word, room.gameData.wordAliases);
+        if(result === 'correct') {
+            room.gameData.guessed.push(user.id);
+            const stolen = room.gameData.stealOpen;
+            if(stolen) room.gameData.stolenBy = user.id;
+
+            const elapsedMs = Date.now() - room.gameData.turnStartedAt;
+            const points = scribbleScoring.guesserPoints({
+                elapsedMs,
+                turnMs: room.settings.time * 1000,
+                order: room.gameData.guessed.length,
+                hintsGiven: room.gameData.hintsGiven
+            });
+            credit(room, user, points);
+            room.gameData.turnScores.push({ userId: user.id, username: user.username, role: 'guesser', points, order: room.gameData.guessed.length, elapsedMs, ...(stolen && { stolen: true }) });
+
+            socket.emit('reveal_word', { word: room.gameData.word });
+
+            io.to(roomCode).emit('chat_receive', { username: user.username, text: "Guessed the word!", type: 'correct', avatar: user.avatar });
+            io.to(roomCode).emit('sys_msg', stolen ? `🏴 ${user.username} stole it for Team ${room.gameData.teams[user.team].name}!` : `🎉 ${user.username} guessed it!`);
+            io.to(roomCode).emit('sfx', 'success');
+
+            if(stolen || allGuessed(room)) {
+                 stopTicking(roomCode);
+                 if(!stolen) io.to(roomCode).emit('sys_msg', "Everyone guessed! Ending round...");
+                 setTimeout(() => {
+                     endTurn(roomCode, stolen ? "Stolen!" : "Everyone Guessed!");
+                 }, 1000);
+            }
+            return true;
+        } else if (result === 'close') {
+             socket.emit('chat_receive', { username: "System", text: `'${text}' is close!`, type: 'close' });
+             return true;
+        }
+        return room.gameData.teams ? teamChat(room, user, text, socket) : false;
+    }
+
+    function teamChat(room, user, text, socket) {
+        if(user.muted) socket.emit('chat_receive', { username: "System", text: "You are muted.", type: 'muted' });
+        else io.to(scribbleTeams.membersOf(getPlayers(room), user.team).map(u => u.id)).emit('chat_receive', { username: user.username, text, avatar: user.avatar, type: 'team' });
+        return true;
+    }
+
+    // --- ACTIONS ---
+    const drawer = (fields) => ({ fields: { roomCode, ...fields }, access: 'drawer', phase: ['DRAWING'] });
+
+    function drawOp(code, userId, data, socket) {
+        const room = rooms[code];
+        // Drawing floods are dropped here instead of being relayed to every guesser
+        const limiter = socket.data.drawLimiter || (socket.data.drawLimiter = strokeStream.createRateLimiter({ rate: 100, burst: 200 }));
+        if(!limiter.take()) return;
+
+        const canvas = room.gameData.canvas;
+        const stroke = room.gameData.currentStroke;
+        const startsObject = data.op === 'fill' || data.op === 'start' || data.op === 'shape';
+        if (startsObject && room.gameData.objectsDrawn >= strokeStream.MAX_OBJECTS_PER_TURN) {
+            return socket.emit('draw_limit', { reason: "Too many strokes this turn" });
+        }
+
+        if (data.op === 'fill') {
+            const fill = canvasModel.buildFill(canvas, data);
+            if(!fill) return;
+            fill.t0 = turnClock(room);
+            room.gameData.objectsDrawn++;
+            canvasModel.addObject(canvas, fill);
+            // Relays carry only what the server built, never the client's raw payload
+            socket.to(code).emit('draw_op', { op: 'fill', id: fill.id, color: fill.color, x: fill.x, y: fill.y });
+            socket.emit('draw_ack', { op: 'fill', id: fill.id });
+        } else if(data.op === 'start') {
+            const started = canvasModel.buildStroke(canvas, data);
+            if(!started) return;
+            started.t0 = started.points[0].t = turnClock(room);
+            room.gameData.objectsDrawn++;
+            room.gameData.currentStroke = started;
+            socket.to(code).emit('draw_op', { op: 'start', id: started.id, color: started.color, width: started.width, x: data.x, y: data.y });
+            socket.emit('draw_ack', { op: 'start', id: started.id });
+        } else if (data.op === 'points' && stroke) {
+            // Batched packet: deltas from the stroke's last point, relayed as-is
+            const pts = strokeStream.decodeDeltas(stroke.points[stroke.points.length - 1], data.d);
+            if(!pts || stroke.points.length + pts.length > strokeStream.MAX_POINTS_PER_STROKE) return;
+            // Stamped before simplify() thins the stroke, so replays keep the drawer's pace
+            const t = turnClock(room);
+            stroke.points.push(...pts.map(p => ({ ...p, t })));
+            socket.to(code).emit('draw_op', { op: 'points', id: stroke.id, d: data.d });
+        } else if (data.op === 'move' && stroke) {
+            if(typeof data.x !== 'number' || typeof data.y !== 'number') return;
+            if(stroke.points.length >= strokeStream.MAX_POINTS_PER_STROKE) return;
+            stroke.points.push({x:data.x, y:data.y, t: turnClock(room)});
+            socket.to(code).emit('draw_op', { op: 'move', id: stroke.id, x: data.x, y: data.y });
+        } else if (data.op === 'end' && stroke) {
+            stroke.points = strokeStream.simplify(stroke.points);
+            stroke.t1 = turnClock(room);
+            canvasModel.addObject(canvas, stroke);
+            room.gameData.currentStroke = null;
+            socket.to(code).emit('draw_op', { op: 'end', id: stroke.id });
+        } else if (data.op === 'shape' && canvasModel.SHAPES.includes(data.shape)) {
+            const shape = canvasModel.buildShape(canvas, data);
+            if(!shape) return;
+            shape.t0 = turnClock(room);
+            room.gameData.objectsDrawn++;
+            io.to(code).emit('canvas_op', canvasModel.addObject(canvas, shape));
+        }
+    }
+
+    // Streams an archived drawing back at its original pace (speed 0.25-8x)
+    function replayDrawing(code, userId, { turn, speed }, socket) {
+        clearTimeout(socket.data.replayTimer);
+        const drawing = galleryEntry(rooms[code], turn);
+        if(!drawing) throw new GameError("Drawing not found", ERR.NOT_FOUND);
+        const rate = Math.min(8, Math.max(0.25, Number(speed) || 1));
+        const events = buildReplay(drawing);
+        socket.emit('replay_start', { turn, word: drawing.word, drawerName: drawing.drawerName, duration: Math.round((events.length ? events[events.length - 1].at : 0) / rate) });
+        let i = 0;
+        const step = () => {
+            const now = events[i] ? events[i].at : 0;
+            // Everything due at the same moment goes out in one tick
+            while(i < events.length && events[i].at <= now) socket.emit('replay_op', { turn, ...events[i++].op });
+            if(i >= events.length) { socket.data.replayTimer = null; return socket.emit('replay_end', { turn }); }
+            socket.data.replayTimer = setTimeout(step, (events[i].at - now) / rate);
+        };
+        socket.data.replayTimer = setTimeout(step, events.length ? events[0].at / rate : 0);
+    }
+
+    // Lobby-only: team changes take effect when the next game starts
+    const lobbyAdmin = (fields) => ({ fields: { roomCode, ...fields }, access: 'admin', phase: ['LOBBY'] });
+
+    const actions = {
+        set_team: { event: 'set_team', ...lobbyAdmin({ userId, team: int(0, scribbleTeams.MAX_TEAMS - 1) }), handle(code, adminId, data) {
+            const room = rooms[code];
+            const player = getPlayers(room).find(u => u.id === data.userId);
+            if(!player) throw new GameError("No such player", ERR.NOT_FOUND);
+            player.team = data.team;
+            io.to(code).emit('update_room', getRoomState(room));
+        } },
+        balance_teams: { event: 'balance_teams', ...lobbyAdmin({ teamCount: opt(int(scribbleTeams.MIN_TEAMS, scribbleTeams.MAX_TEAMS)) }), handle(code, adminId, { teamCount }) {
+            const room = rooms[code];
+            if(teamCount) room.settings.teamCount = teamCount;
+            scribbleTeams.balanceTeams(getPlayers(room), room.settings.teamCount);
+            io.to(code).emit('update_room', getRoomState(room));
+        } },
+        draw: { event: 'draw_op', ...drawer({ op: oneOf(...DRAW_OPS), x: opt(num()), y: opt(num()), d: opt(arr(128)) }), handle: drawOp },
+        // Canvas edits go out as small `canvas_op` diffs; see canvasModel.js
+        clear: { event: 'clear', ...drawer({}), handle(code) {
+            if(canvasModel.clear(rooms[code].gameData.canvas)) io.to(code).emit('clear_canvas');
+        } },
+        undo: { event: 'undo', ...drawer({}), handle(code) {
+            const diff = canvasModel.undo(rooms[code].gameData.canvas);
+            if(diff) io.to(code).emit('canvas_op', diff);
+        } },
+        redo: { event: 'redo', ...drawer({}), handle(code) {
+            const diff = canvasModel.redo(rooms[code].gameData.canvas);
+            if(diff) io.to(code).emit('canvas_op', diff);
+        } },
+        erase: { event: 'erase_object', ...drawer({ id: str(40) }), handle(code, userId, { id }) {
+            const diff = canvasModel.eraseObject(rooms[code].gameData.canvas, id);
+            if(diff) io.to(code).emit('canvas_op', diff);
+        } },
+        select_word: { event: 'word_select', fields: { roomCode, word: str(100) }, access: 'drawer', phase: ['SELECTING'], handle(code, userId, { word }) {
+            const options = rooms[code].gameData.wordOptions || [];
+            if(!options.some(o => o.word === word)) throw new GameError("Pick one of the offered words");
+            selectWord(code, word);
+        } },
+        replay: { event: 'replay_drawing', fields: { roomCode, turn: int(1, 1000), speed: opt(num()) }, access: 'member', handle: replayDrawing },
+        replay_stop: { event: 'replay_stop', fields: {}, handle(code, userId, data, socket) {
+            clearTimeout(socket.data.replayTimer);
+            socket.data.replayTimer = null;
+        } }
+    };
+
+    return {
+        type: 'scribble',
+        maxPlayers: 10,
+        tickMs: 1000,
+        actions,
+        tick,
+
+        defaultSettings: () => ({
+            rounds: 3,
+            customWords: [],
+            wordPacks: [],
+            difficultyMix: wordPacks.DEFAULT_MIX,
+            maxScore: 10000,
+            endCondition: 'rounds',
+            sessionMinutes: 10,
+            randomOrder: false,
+            teamMode: false,
+            teamCount: 2,
+            stealSeconds: 0
+        }),
+
+        parseSettings(raw, settings) {
+            settings.rounds = parseInt(raw.rounds) || 3;
+            settings.maxScore = parseInt(raw.maxScore) || 10000;
+            settings.endCondition = ['rounds', 'score', 'timed'].includes(raw.endCondition) ? raw.endCondition : 'rounds';
+            settings.sessionMinutes = Math.min(120, Math.max(1, parseInt(raw.sessionMinutes) || 10));
+            settings.randomOrder = !!raw.randomOrder;
+            settings.wordPacks = Array.isArray(raw.wordPacks) ? raw.wordPacks.filter(id => wordPacks.getPack(id)) : [];
+            settings.difficultyMix = wordPacks.sanitizeMix(raw.difficultyMix);
+            settings.teamMode = !!raw.teamMode;
+            settings.teamCount = scribbleTeams.clampTeamCount(raw.teamCount);
+            settings.stealSeconds = Math.min(MAX_STEAL_SECONDS, Math.max(0, parseInt(raw.stealSeconds) || 0));
+        },
+
+        initialData: () => ({ round: 1, drawerIdx: 0, drawerId: null, word: null, canvas: canvasModel.createCanvas(), guessed: [] }),
+
+        start(code) {
+            const room = rooms[code];
+            room.gameData.teams = null;
+            if(room.settings.teamMode) {
+                // Admin picks from set_team are kept; everyone else is balanced in
+                const players = getPlayers(room);
+                if(players.length < room.settings.teamCount) throw new GameError(`Team mode needs at least ${room.settings.teamCount} players`, ERR.NOT_ENOUGH_PLAYERS);
+                scribbleTeams.fillTeams(players, room.settings.teamCount);
+                const teams = scribbleTeams.createTeams(room.settings.teamCount);
+                if(teams.some(t => scribbleTeams.membersOf(players, t.id).length === 0)) throw new GameError("Every team needs at least one player");
+                room.gameData.teams = teams;
+            }
+            room.gameData.round = 1; room.gameData.drawerIdx = 0; room.gameData.usedWords = []; room.gameData.gallery = []; room.users.forEach(u=>u.score=0);
+            room.gameData.drawOrder = buildDrawOrder(room);
+            room.gameData.sessionEndsAt = room.settings.endCondition === 'timed' ? Date.now() + room.settings.sessionMinutes * 60000 : null;
+            startTurn(code);
+        },
+
+        end: finishGame,
+
+        resume(code) {
+            if(['SELECTING', 'DRAWING', 'ROUND_OVER'].includes(rooms[code].state)) armPhase(code);
+        },
+
+        // The word and the drawer's choices stay secret until the turn is over
+        publicState(room) {
+            const data = { ...room.gameData };
+            delete data.gallery; // Past drawings are fetched over HTTP or replayed on request
+            delete data.wordOptions;
+            // The drawing goes out as canvas_op diffs, and as canvas_history from syncClient
+            delete data.canvas;
+            delete data.currentStroke;
+            delete data.usedWords; // The last entry is the live word
+            if(room.state === 'SELECTING' || room.state === 'DRAWING') {
+                delete data.word;
+                delete data.wordAliases;
+            }
+            return data;
+        },
+
+        syncClient(socket, code, userId) {
+            const room = rooms[code];
+            if(room.state === 'SELECTING') {
+                const drawer = room.users.find(u => u.id === room.gameData.drawerId);
+                socket.emit('scribble_state', {
+                    state: "SELECTING",
+                    drawerId: room.gameData.drawerId,
+                    drawerName: drawer?.username,
+                    drawerAvatar: drawer?.avatar,
+                    round: room.gameData.round,
+                    totalRounds: room.settings.rounds,
+                    turn: room.gameData.drawerIdx + 1,
+                    totalTurns: getPlayers(room).length
+                });
+                if(userId === room.gameData.drawerId && room.gameData.wordOptions) {
+                    const options = room.gameData.wordOptions;
+                    socket.emit('pick_word', { words: options.map(o => o.word), options });
+                }
+            } else if(room.state === 'DRAWING') {
+                socket.emit('canvas_history', room.gameData.canvas.objects);
+                socket.emit('scribble_state', {
+                    state: "DRAWING",
+                    drawerId: room.gameData.drawerId,
+                    maskedWord: maskWord(room.gameData.word, room.gameData.revealedIndices),
+                    time: room.settings.time,
+                    round: room.gameData.round,
+                    totalRounds: room.settings.rounds,
+                    turn: room.gameData.drawerIdx + 1,
+                    totalTurns: getPlayers(room).length
+                });
+                if(userId === room.gameData.drawerId) {
+                    socket.emit('drawer_secret', room.gameData.word);
+                } else if(room.gameData.guessed.includes(userId)) {
+                    socket.emit('reveal_word', { word: room.gameData.word });
+                }
+            } else if(room.state === 'ROUND_OVER') {
+                socket.emit('canvas_history', room.gameData.canvas.objects);
+            }
+        },
+
+        onChat,
+
+        onLeave(code, userId) {
+            const room = rooms[code];
+            if(room.state !== 'DRAWING') return;
+            // **CRITICAL FIX: Handle Drawer Disconnect**
+            if(room.gameData.drawerId === userId) {
+                io.to(code).emit('sys_msg', "Drawer Left! Ending round.");
+                endTurn(code, "Drawer disconnected!");
+                return;
+            }
+            // Handle dynamic disconnection for guessing logic
+            if(allGuessed(room)) {
+                endTurn(code, "Everyone Guessed!");
+            }
+        },
+
+        onDisconnect(socket) {
+            clearTimeout(socket.data.replayTimer);
+        },
+
+        serialize(data) {
+            if(data.revealedIndices) data.revealedIndices = [...data.revealedIndices];
+            return data;
+        },
+
+        restore(data, shift) {
+            if(data.revealedIndices) data.revealedIndices = new Set(data.revealedIndices);
+            if(data.turnStartedAt) data.turnStartedAt += shift;
+            if(data.sessionEndsAt) data.sessionEndsAt += shift;
+        },
+
+        routes(app) {
+            app.get('/rooms/:code/drawings', (req, res) => {
+                const room = rooms[req.params.code];
+                if(!room || room.gameType !== 'scribble') return res.status(404).json({ error: "No scribble game in this room" });
+                res.json(gallerySummary(req.params.code, room));
+            });
+
+            app.get('/rooms/:code/drawings/:turn.svg', (req, res) => {
+                const drawing = galleryEntry(rooms[req.params.code], parseInt(req.params.turn));
+                if(!drawing) return res.status(404).send("Drawing not found");
+                res.type('image/svg+xml');
+                res.send(drawingSvg.renderSvg(drawing.objects, { title: `${drawing.word} by ${drawing.drawerName}` }));
+            });
+        }
+    };
+}
+
+module.exports = { createScribbleGame };
@@ -0,0 +1,30 @@
+// --- SCRIBBLE SCORING ---
+// Guessers earn more for guessing early, for being among the first, and for
+// needing fewer hints. The drawer earns a share of DRAWER_MAX equal to the
+// fraction of guessers who got the word.
+const GUESS_MIN = 50;
+const GUESS_TIME_BONUS = 250;
+const ORDER_STEP = 0.1;     // each earlier correct guesser costs 10%...
+const ORDER_FLOOR = 0.5;    // ...down to half points
+const HINT_STEP = 0.15;     // each revealed letter costs 15%...
+const HINT_FLOOR = 0.4;     // ...down to 40%
+const DRAWER_MAX = 200;
+
+function clamp(v, lo, hi) {
+    return Math.min(hi, Math.max(lo, v));
+}
+
+// `order` is 1 for the first correct guess of the turn
+function guesserPoints({ elapsedMs, turnMs, order, hintsGiven }) {
+    const timeLeft = turnMs > 0 ? clamp(1 - elapsedMs / turnMs, 0, 1) : 0;
+    const orderFactor = Math.max(ORDER_FLOOR, 1 - ORDER_STEP * (order - 1));
+    const hintFactor = Math.max(HINT_FLOOR, 1 - HINT_STEP * (hintsGiven || 0));
+    return Math.round((GUESS_MIN + GUESS_TIME_BONUS * timeLeft) * orderFactor * hintFactor);
+}
+
+function drawerPoints({ guessed, totalGuessers }) {
+    if(totalGuessers <= 0) return 0;
+    return Math.round(DRAWER_MAX * clamp(guessed / totalGuessers, 0, 1));
+}
+
+module.exports = { guesserPoints, drawerPoints, DRAWER_MAX };
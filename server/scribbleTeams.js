@@ -0,0 +1,59 @@
+// --- SCRIBBLE TEAMS ---
+// Team mode splits the seated players into teamCount teams. Membership is
+// `user.team` (an index into TEAM_NAMES); team scores live in gameData.teams.
+const wordPacks = require('./wordPacks');
+
+const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Yellow'];
+const MIN_TEAMS = 2;
+const MAX_TEAMS = TEAM_NAMES.length;
+
+function clampTeamCount(n) {
+    return Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, parseInt(n) || MIN_TEAMS));
+}
+
+function membersOf(players, team) {
+    return players.filter(u => u.team === team);
+}
+
+// Puts everyone without a valid team on the smallest one; admin picks are kept
+function fillTeams(players, teamCount) {
+    const sizes = Array(teamCount).fill(0);
+    players.forEach(u => { if(Number.isInteger(u.team) && u.team < teamCount) sizes[u.team]++; });
+    players.forEach(u => {
+        if(Number.isInteger(u.team) && u.team < teamCount) return;
+        u.team = sizes.indexOf(Math.min(...sizes));
+        sizes[u.team]++;
+    });
+}
+
+// Fresh random split with team sizes at most one apart
+function balanceTeams(players, teamCount) {
+    wordPacks.shuffle(players.slice()).forEach((u, i) => { u.team = i % teamCount; });
+}
+
+// One drawer from each team in turn, so consecutive turns go to different teams
+function drawOrder(players, teamCount) {
+    const teams = Array.from({ length: teamCount }, (_, t) => membersOf(players, t).map(u => u.id));
+    const order = [];
+    for(let i = 0; order.length < players.length; i++) {
+        teams.forEach(ids => { if(i < ids.length) order.push(ids[i]); });
+    }
+    return order;
+}
+
+function createTeams(teamCount) {
+    return TEAM_NAMES.slice(0, teamCount).map((name, id) => ({ id, name, score: 0 }));
+}
+
+// Team scores with the members each team has right now
+function teamStandings(teams, players) {
+    return teams.map(t => ({ ...t, members: membersOf(players, t.id).map(u => ({ id: u.id, username: u.username, score: u.score })) }));
+}
+
+// Players in team order, each with their team's `rank`; anyone without a team comes last
+function rankByTeam(players, rankedTeams) {
+    const rankOf = u => (rankedTeams.find(t => t.id === u.team) || { rank: rankedTeams.length + 1 }).rank;
+    return players.map(u => ({ ...u, rank: rankOf(u) })).sort((a, b) => a.rank - b.rank || b.score - a.score);
+}
+
+module.exports = { TEAM_NAMES, MIN_TEAMS, MAX_TEAMS, clampTeamCount, membersOf, fillTeams, balanceTeams, drawOrder, createTeams, teamStandings, rankByTeam };
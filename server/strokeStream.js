@@ -0,0 +1,74 @@
+// --- STROKE STREAM ---
+// Helpers for the drawer's live stroke traffic: delta-encoded point batches,
+// Ramer-Douglas-Peucker simplification and a per-socket token bucket.
+const MAX_POINTS_PER_STROKE = 2000;
+const MAX_OBJECTS_PER_TURN = 600;
+const MAX_BATCH = 64;              // points per `points` packet
+const SIMPLIFY_EPSILON = 0.75;     // px of allowed deviation after simplification
+
+// [dx0, dy0, dx1, dy1, ...] relative to `from` -> [{x, y}], or null if malformed
+function decodeDeltas(from, deltas) {
+    if(!Array.isArray(deltas) || deltas.length % 2 !== 0 || deltas.length / 2 > MAX_BATCH) return null;
+    const out = [];
+    let x = from.x, y = from.y;
+    for(let i = 0; i < deltas.length; i += 2) {
+        const dx = deltas[i], dy = deltas[i + 1];
+        if(typeof dx !== 'number' || typeof dy !== 'number' || !Number.isFinite(dx) || !Number.isFinite(dy)) return null;
+        x += dx; y += dy;
+        out.push({ x, y });
+    }
+    return out;
+}
+
+function perpendicularDistance(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    if(len === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+    return Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / len;
+}
+
+// Iterative RDP so very long strokes can't blow the stack
+function simplify(points, epsilon = SIMPLIFY_EPSILON) {
+    if(points.length < 3) return points.slice();
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+    while(stack.length) {
+        const [start, end] = stack.pop();
+        let maxDist = 0, index = -1;
+        for(let i = start + 1; i < end; i++) {
+            const d = perpendicularDistance(points[i], points[start], points[end]);
+            if(d > maxDist) { maxDist = d; index = i; }
+        }
+        if(maxDist > epsilon) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+    return points.filter((p, i) => keep[i]);
+}
+
+// Token bucket: `rate` messages per second with bursts up to `burst`
+function createRateLimiter({ rate, burst }) {
+    let tokens = burst;
+    let last = Date.now();
+    return {
+        take() {
+            const now = Date.now();
+            tokens = Math.min(burst, tokens + (now - last) / 1000 * rate);
+            last = now;
+            if(tokens < 1) return false;
+            tokens--;
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    MAX_POINTS_PER_STROKE,
+    MAX_OBJECTS_PER_TURN,
+    MAX_BATCH,
+    decodeDeltas,
+    simplify,
+    createRateLimiter
+};
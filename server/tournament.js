@@ -0,0 +1,311 @@
+// --- TOURNAMENTS ---
+// Round-robin or single-elimination brackets for head-to-head games (maxPlayers 2),
+// played one match at a time on the room's board. Game modules seat the current
+// pairing through contestants() and hand every decided game back through
+// reportResult(). State lives on room.tournament, so it's persisted with the room.
+//   match: { a, b, result: null | 'a' | 'b' | 'draw' | 'bye', winner, replays, forfeit? }
+// a/b are user ids (a moves first), null is a bye.
+const { getGame, GameError } = require('./gameRegistry');
+const { ERR } = require('./eventSchemas');
+
+const FORMATS = ['round_robin', 'elimination'];
+const MIN_ENTRANTS = 3;
+const MAX_ENTRANTS = 16;
+const NEXT_MATCH_MS = 5000;
+const MAX_REPLAYS = 2; // drawn knockout games are replayed, then the higher seed goes through
+
+function match(a, b) {
+    return { a, b, result: null, winner: null, replays: 0 };
+}
+
+// Circle method: the first entrant stays put and the rest rotate around it
+function roundRobinRounds(ids) {
+    const list = ids.length % 2 ? [...ids, null] : [...ids];
+    const n = list.length;
+    const rounds = [];
+    for(let r = 0; r < n - 1; r++) {
+        const round = [];
+        for(let i = 0; i < n / 2; i++) {
+            // Alternate who moves first from round to round
+            round.push(r % 2 ? match(list[n - 1 - i], list[i]) : match(list[i], list[n - 1 - i]));
+        }
+        rounds.push(round);
+        list.splice(1, 0, list.pop());
+    }
+    return rounds;
+}
+
+// Seed positions that keep the top seeds apart until late: 4 -> [0, 3, 1, 2]
+function bracketOrder(size) {
+    let order = [0];
+    while(order.length < size) {
+        const m = order.length * 2;
+        order = order.flatMap(s => [s, m - 1 - s]);
+    }
+    return order;
+}
+
+// First knockout round, padded with byes to a power of two; the top seeds get the byes
+function eliminationRound(ids) {
+    let size = 2;
+    while(size < ids.length) size *= 2;
+    const seeded = bracketOrder(size).map(s => s < ids.length ? ids[s] : null);
+    const round = [];
+    for(let i = 0; i < size; i += 2) round.push(match(seeded[i], seeded[i + 1]));
+    return round;
+}
+
+function nextEliminationRound(prev) {
+    const round = [];
+    for(let i = 0; i < prev.length; i += 2) round.push(match(prev[i].winner, prev[i + 1].winner));
+    return round;
+}
+
+function entrantOf(t, id) {
+    return t.entrants.find(e => e.id === id);
+}
+
+function currentMatch(t) {
+    return t.current ? t.rounds[t.current.round][t.current.match] : null;
+}
+
+// Records a played (or forfeited) match in the standings; byes don't count
+function settle(t, m, outcome) {
+    m.result = outcome;
+    m.winner = outcome === 'a' ? m.a : outcome === 'b' ? m.b : null;
+    if(outcome === 'bye') return;
+    const sa = t.standings[m.a], sb = t.standings[m.b];
+    sa.played++; sb.played++;
+    if(outcome === 'draw') {
+        sa.drawn++; sb.drawn++;
+        sa.points += 0.5; sb.points += 0.5;
+    } else {
+        const [w, l] = outcome === 'a' ? [sa, sb] : [sb, sa];
+        w.won++; w.points++;
+        l.lost++;
+    }
+}
+
+// Settles a match that needs no game: a bye, or an entrant who has withdrawn
+function settleWalkover(t, m) {
+    const out = id => id === null || entrantOf(t, id).withdrawn;
+    if(!out(m.a) && !out(m.b)) return false;
+    if(m.a === null || m.b === null || (out(m.a) && out(m.b))) {
+        m.result = 'bye';
+        m.winner = !out(m.a) ? m.a : !out(m.b) ? m.b : null;
+    } else {
+        settle(t, m, out(m.a) ? 'b' : 'a');
+        m.forfeit = true;
+    }
+    return true;
+}
+
+// { round, match } of the next game to play, settling walkovers and building
+// knockout rounds on the way; null once the tournament is over
+function nextMatch(t) {
+    for(;;) {
+        const first = t.format === 'elimination' ? t.rounds.length - 1 : 0;
+        for(let r = first; r < t.rounds.length; r++) {
+            for(let i = 0; i < t.rounds[r].length; i++) {
+                const m = t.rounds[r][i];
+                if(!m.result && !settleWalkover(t, m)) return { round: r, match: i };
+            }
+        }
+        const last = t.rounds[t.rounds.length - 1];
+        if(t.format !== 'elimination' || last.length === 1) return null;
+        t.rounds.push(nextEliminationRound(last));
+    }
+}
+
+function standingsOf(t) {
+    return t.entrants
+        .map(e => ({ ...e, ...t.standings[e.id] }))
+        .sort((a, b) => b.points - a.points || b.won - a.won || a.seed - b.seed);
+}
+
+function createTournaments({ io, rooms, getPlayers, getRoomState }) {
+    const timers = {}; // roomCode -> pending next-match timeout
+
+    function isRunning(room) {
+        return !!room.tournament && room.tournament.status === 'running';
+    }
+
+    // What clients see; the stored start settings stay on the server
+    function publicState(room) {
+        const t = room.tournament;
+        if(!t) return null;
+        return { format: t.format, status: t.status, entrants: t.entrants, rounds: t.rounds, current: t.current,
+            standings: standingsOf(t), champion: t.champion, nextMatchAt: t.nextMatchAt };
+    }
+
+    function broadcast(roomCode) {
+        io.to(roomCode).emit('tournament_update', publicState(rooms[roomCode]));
+    }
+
+    // `raw` is the admin's start_game settings, reused to start every game
+    function start(roomCode, format, raw) {
+        const room = rooms[roomCode];
+        if(getGame(room.gameType).maxPlayers !== 2) throw new GameError("Tournaments are only for head-to-head games");
+        const players = getPlayers(room).slice(0, MAX_ENTRANTS);
+        if(players.length < MIN_ENTRANTS) throw new GameError(`Need at least ${MIN_ENTRANTS} players for a tournament`, ERR.NOT_ENOUGH_PLAYERS);
+
+        const ids = players.map(u => u.id);
+        room.tournament = {
+            format,
+            status: 'running',
+            settings: raw,
+            botMode: room.settings.botMode,
+            entrants: players.map((u, i) => ({ id: u.id, username: u.username, seed: i + 1, withdrawn: false })),
+            rounds: format === 'elimination' ? [eliminationRound(ids)] : roundRobinRounds(ids),
+            standings: Object.fromEntries(ids.map(id => [id, { played: 0, won: 0, drawn: 0, lost: 0, points: 0 }])),
+            current: null,
+            champion: null,
+            nextMatchAt: null
+        };
+        // Every seat in a tournament game is a real entrant; the room's own
+        // bot setting comes back when the tournament ends
+        room.settings.botMode = false;
+        io.to(roomCode).emit('sys_msg', `${format === 'elimination' ? "Knockout" : "Round-robin"} tournament with ${players.length} players!`);
+        try {
+            advance(roomCode, true);
+        } catch(e) {
+            room.settings.botMode = room.tournament.botMode;
+            delete room.tournament;
+            throw e;
+        }
+    }
+
+    // Moves on to the next pairing: its game starts now or after a short break
+    function advance(roomCode, now) {
+        const room = rooms[roomCode];
+        const t = room.tournament;
+        const next = nextMatch(t);
+        if(!next) return finish(roomCode);
+        t.current = next;
+        t.nextMatchAt = now ? null : Date.now() + NEXT_MATCH_MS;
+        broadcast(roomCode);
+        if(now) playCurrent(roomCode);
+        else schedule(roomCode);
+    }
+
+    function schedule(roomCode) {
+        clearTimeout(timers[roomCode]);
+        const t = rooms[roomCode].tournament;
+        timers[roomCode] = setTimeout(() => {
+            delete timers[roomCode];
+            const room = rooms[roomCode];
+            if(!room || !isRunning(room)) return;
+            try {
+                playCurrent(roomCode);
+            } catch(e) {
+                if(!(e instanceof GameError)) throw e;
+                cancel(roomCode, e.message);
+            }
+        }, Math.max(0, t.nextMatchAt - Date.now()));
+    }
+
+    function playCurrent(roomCode) {
+        const room = rooms[roomCode];
+        const t = room.tournament;
+        const m = currentMatch(t);
+        t.nextMatchAt = null;
+        io.to(roomCode).emit('sys_msg', `Tournament game: ${entrantOf(t, m.a).username} vs ${entrantOf(t, m.b).username}`);
+        getGame(room.gameType).start(roomCode, t.settings);
+        broadcast(roomCode);
+    }
+
+    function finish(roomCode) {
+        const room = rooms[roomCode];
+        const t = room.tournament;
+        t.status = 'finished';
+        room.settings.botMode = t.botMode;
+        t.current = null;
+        t.nextMatchAt = null;
+        t.champion = t.format === 'elimination' ? t.rounds[t.rounds.length - 1][0].winner : standingsOf(t)[0].id;
+        const champ = entrantOf(t, t.champion);
+        io.to(roomCode).emit('sys_msg', champ ? `${champ.username} wins the tournament!` : "The tournament is over.");
+        broadcast(roomCode);
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    }
+
+    function cancel(roomCode, reason) {
+        const room = rooms[roomCode];
+        const t = room.tournament;
+        clearTimeout(timers[roomCode]);
+        delete timers[roomCode];
+        t.status = 'cancelled';
+        room.settings.botMode = t.botMode;
+        t.current = null;
+        t.nextMatchAt = null;
+        io.to(roomCode).emit('sys_msg', `Tournament cancelled: ${reason}`);
+        broadcast(roomCode);
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    }
+
+    // The two users a head-to-head game should seat: the current pairing during a tournament
+    function contestants(room) {
+        const m = isRunning(room) && currentMatch(room.tournament);
+        if(!m) return getPlayers(room);
+        return [m.a, m.b].map(id => room.users.find(u => u.id === id)).filter(Boolean);
+    }
+
+    // Game modules call this when a game is decided: `result` is the winner's user id
+    // or 'draw'. Returns true when the tournament decides what happens next.
+    function reportResult(roomCode, result) {
+        const room = rooms[roomCode];
+        if(!room || !isRunning(room)) return false;
+        const t = room.tournament;
+        const m = currentMatch(t);
+        if(!m || t.nextMatchAt) return true; // already settled, e.g. by a forfeit
+
+        if(result === 'draw' && t.format === 'elimination') {
+            if(m.replays < MAX_REPLAYS) {
+                // Replay with the first move swapped
+                m.replays++;
+                [m.a, m.b] = [m.b, m.a];
+                t.nextMatchAt = Date.now() + NEXT_MATCH_MS;
+                io.to(roomCode).emit('sys_msg', "Drawn knockout game, it will be replayed.");
+                broadcast(roomCode);
+                schedule(roomCode);
+                return true;
+            }
+            result = entrantOf(t, m.a).seed < entrantOf(t, m.b).seed ? m.a : m.b;
+            m.tiebreak = 'seed';
+        }
+        settle(t, m, result === 'draw' ? 'draw' : result === m.a ? 'a' : 'b');
+        t.current = null;
+        advance(roomCode);
+        return true;
+    }
+
+    // Leaving the room (or the seats) mid-tournament forfeits the game in progress and every later pairing
+    function withdraw(roomCode, userId) {
+        const room = rooms[roomCode];
+        if(!room || !isRunning(room)) return;
+        const t = room.tournament;
+        const e = entrantOf(t, userId);
+        if(!e || e.withdrawn) return;
+        e.withdrawn = true;
+        io.to(roomCode).emit('sys_msg', `${e.username} withdrew from the tournament.`);
+
+        const m = currentMatch(t);
+        if(!m || (m.a !== userId && m.b !== userId)) return broadcast(roomCode);
+        settleWalkover(t, m);
+        t.current = null;
+        clearTimeout(timers[roomCode]);
+        if(room.state === 'PLAYING') getGame(room.gameType).end(roomCode, `${e.username} left the tournament`);
+        advance(roomCode);
+    }
+
+    // Re-arms the break between games after a restart; downtime doesn't shorten it
+    function resume(roomCode, shift) {
+        const room = rooms[roomCode];
+        if(!isRunning(room) || !room.tournament.nextMatchAt) return;
+        room.tournament.nextMatchAt += shift;
+        schedule(roomCode);
+    }
+
+    return { FORMATS, MAX_ENTRANTS, isRunning, publicState, start, cancel, contestants, reportResult, withdraw, resume };
+}
+
+module.exports = { createTournaments };
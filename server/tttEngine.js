@@ -0,0 +1,256 @@
+// --- TIC TAC TOE ENGINE ---
+// Boards are flat arrays, index = row * size + col. The classic 3x3 game is
+// solved by minimax; bigger boards and K-in-a-row use a one-move threat
+// heuristic. Ultimate boards are nine 3x3 boards back to back (cell = sub * 9 + i).
+// Difficulty only changes how often the bot plays its best move instead of a random one.
+const WIN_LINES = [[0,1,2],[3,4,5],[6,7,8],[0,3,6],[1,4,7],[2,5,8],[0,4,8],[2,4,6]];
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]]; // [dRow, dCol]
+const MIN_SIZE = 3;
+const MAX_SIZE = 15;
+
+// Chance of playing the best move; the rest of the time a random free cell is used
+const DIFFICULTY = { easy: 0.25, medium: 0.7, perfect: 1 };
+
+function other(sym) {
+    return sym === 'X' ? 'O' : 'X';
+}
+
+function randomOf(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function accuracyOf(difficulty) {
+    return DIFFICULTY[difficulty] !== undefined ? DIFFICULTY[difficulty] : DIFFICULTY.medium;
+}
+
+// 3x3 result; 'draw' cells (decided Ultimate sub-boards) never make a line
+function classicWinner(board) {
+    for(const w of WIN_LINES) {
+        const v = board[w[0]];
+        if((v === 'X' || v === 'O') && v === board[w[1]] && v === board[w[2]]) return v;
+    }
+    return board.every(v => v !== null) ? 'draw' : null;
+}
+
+// The `winLength` run through `index`, as cell indexes, or null
+function lineThrough(board, index, size = 3, winLength = 3) {
+    const sym = board[index];
+    if(!sym) return null;
+    const row = Math.floor(index / size), col = index % size;
+    for(const [dr, dc] of DIRECTIONS) {
+        const line = [index];
+        for(const sign of [1, -1]) {
+            let r = row + dr * sign, c = col + dc * sign;
+            while(r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === sym) {
+                line.push(r * size + c);
+                r += dr * sign; c += dc * sign;
+            }
+        }
+        if(line.length >= winLength) return line.sort((a, b) => a - b);
+    }
+    return null;
+}
+
+// 'X', 'O', 'draw' or null for a board of any size
+function winnerOf(board, size = 3, winLength = 3) {
+    if(size === 3 && winLength === 3) return classicWinner(board);
+    for(let i = 0; i < board.length; i++) {
+        if(lineThrough(board, i, size, winLength)) return board[i];
+    }
+    return board.every(v => v !== null) ? 'draw' : null;
+}
+
+// Score from `me`'s point of view; faster wins and slower losses score higher
+function minimax(board, me, toMove, depth) {
+    const result = classicWinner(board);
+    if(result === me) return 10 - depth;
+    if(result === 'draw') return 0;
+    if(result) return depth - 10;
+
+    const next = other(toMove);
+    let best = toMove === me ? -Infinity : Infinity;
+    for(let i = 0; i < 9; i++) {
+        if(board[i] !== null) continue;
+        board[i] = toMove;
+        const score = minimax(board, me, next, depth + 1);
+        board[i] = null;
+        best = toMove === me ? Math.max(best, score) : Math.min(best, score);
+    }
+    return best;
+}
+
+function bestMove(board, sym) {
+    const opp = other(sym);
+    let bestScore = -Infinity;
+    let moves = [];
+    for(let i = 0; i < 9; i++) {
+        if(board[i] !== null) continue;
+        board[i] = sym;
+        const score = minimax(board, sym, opp, 1);
+        board[i] = null;
+        if(score > bestScore) { bestScore = score; moves = [i]; }
+        else if(score === bestScore) moves.push(i);
+    }
+    return randomOf(moves);
+}
+
+// Sum over every winLength window through `index`: own runs grow fast, the
+// opponent's runs are worth blocking almost as much. Windows holding both symbols are dead.
+function threatScore(board, index, sym, size, winLength) {
+    const opp = other(sym);
+    const row = Math.floor(index / size), col = index % size;
+    let score = 0;
+    for(const [dr, dc] of DIRECTIONS) {
+        for(let shift = 0; shift < winLength; shift++) {
+            const r0 = row - dr * shift, c0 = col - dc * shift;
+            const r1 = r0 + dr * (winLength - 1), c1 = c0 + dc * (winLength - 1);
+            if(r0 < 0 || r0 >= size || c0 < 0 || c0 >= size || r1 < 0 || r1 >= size || c1 < 0 || c1 >= size) continue;
+            let mine = 0, theirs = 0;
+            for(let k = 0; k < winLength; k++) {
+                const v = board[(r0 + dr * k) * size + c0 + dc * k];
+                if(v === sym) mine++;
+                else if(v === opp) theirs++;
+            }
+            if(mine && theirs) continue;
+            if(!theirs) score += Math.pow(10, mine);
+            if(!mine) score += 0.9 * Math.pow(10, theirs);
+        }
+    }
+    return score;
+}
+
+// Empty cells within two steps of any mark (or the centre on an empty board)
+function candidateCells(board, size) {
+    const near = new Set();
+    board.forEach((v, i) => {
+        if(v === null) return;
+        const row = Math.floor(i / size), col = i % size;
+        for(let r = Math.max(0, row - 2); r <= Math.min(size - 1, row + 2); r++) {
+            for(let c = Math.max(0, col - 2); c <= Math.min(size - 1, col + 2); c++) {
+                if(board[r * size + c] === null) near.add(r * size + c);
+            }
+        }
+    });
+    if(near.size === 0) return [Math.floor(size / 2) * size + Math.floor(size / 2)];
+    return [...near];
+}
+
+function heuristicMove(board, sym, size, winLength) {
+    const opp = other(sym);
+    let bestScore = -Infinity;
+    let moves = [];
+    candidateCells(board, size).forEach(i => {
+        board[i] = sym;
+        const wins = lineThrough(board, i, size, winLength);
+        board[i] = opp;
+        const blocks = lineThrough(board, i, size, winLength);
+        board[i] = null;
+        const score = wins ? Infinity : (blocks ? Number.MAX_SAFE_INTEGER : threatScore(board, i, sym, size, winLength));
+        if(score > bestScore) { bestScore = score; moves = [i]; }
+        else if(score === bestScore) moves.push(i);
+    });
+    return randomOf(moves);
+}
+
+// Index the bot playing `sym` should take, or -1 when the board is full
+function pickMove(board, sym, difficulty = 'medium', { size = 3, winLength = 3 } = {}) {
+    const free = [];
+    board.forEach((v, i) => { if(v === null) free.push(i); });
+    if(free.length === 0) return -1;
+
+    if(Math.random() >= accuracyOf(difficulty)) return randomOf(free);
+    if(size === 3 && winLength === 3) return bestMove(board.slice(), sym);
+    return heuristicMove(board.slice(), sym, size, winLength);
+}
+
+// --- ULTIMATE ---
+// macro[s] is the result of sub-board s; nextBoard is where the next move must go (null = anywhere open)
+const SUB_CELLS = 9;
+
+function subBoard(board, s) {
+    return board.slice(s * SUB_CELLS, (s + 1) * SUB_CELLS);
+}
+
+// A move in cell i of its sub-board sends the opponent to sub-board i, unless that one is decided
+function nextBoardAfter(index, macro) {
+    const target = index % SUB_CELLS;
+    return macro[target] === null ? target : null;
+}
+
+function legalCells(board, macro, nextBoard) {
+    const cells = [];
+    board.forEach((v, i) => {
+        const s = Math.floor(i / SUB_CELLS);
+        if(v === null && macro[s] === null && (nextBoard === null || nextBoard === s)) cells.push(i);
+    });
+    return cells;
+}
+
+// Cells of sub-board `s` where `sym` would win it right away
+function subWins(board, s, sym) {
+    const sub = subBoard(board, s);
+    const wins = [];
+    sub.forEach((v, i) => {
+        if(v !== null) return;
+        sub[i] = sym;
+        if(classicWinner(sub) === sym) wins.push(s * SUB_CELLS + i);
+        sub[i] = null;
+    });
+    return wins;
+}
+
+// One-move lookahead: take boards (above all the game), block boards, and
+// avoid handing the opponent a won board or a free choice
+function scoreUltimateMove(board, macro, index, sym) {
+    const opp = other(sym);
+    const s = Math.floor(index / SUB_CELLS);
+    let score = [2, 1, 2, 1, 3, 1, 2, 1, 2][index % SUB_CELLS];
+
+    board[index] = sym;
+    const after = macro.slice();
+    after[s] = classicWinner(subBoard(board, s));
+    if(after[s] === sym) score += classicWinner(after) === sym ? 100000 : 100;
+    board[index] = opp;
+    if(classicWinner(subBoard(board, s)) === opp) score += 80;
+    board[index] = sym;
+
+    const target = nextBoardAfter(index, after);
+    if(target === null) {
+        score -= 40;
+    } else if(subWins(board, target, opp).length) {
+        const oppAfter = after.slice();
+        oppAfter[target] = opp;
+        score -= classicWinner(oppAfter) === opp ? 50000 : 60;
+    }
+    board[index] = null;
+    return score;
+}
+
+function pickUltimateMove(board, macro, nextBoard, sym, difficulty = 'medium') {
+    const cells = legalCells(board, macro, nextBoard);
+    if(cells.length === 0) return -1;
+    if(Math.random() >= accuracyOf(difficulty)) return randomOf(cells);
+
+    const work = board.slice();
+    let bestScore = -Infinity;
+    let moves = [];
+    cells.forEach(i => {
+        const score = scoreUltimateMove(work, macro, i, sym);
+        if(score > bestScore) { bestScore = score; moves = [i]; }
+        else if(score === bestScore) moves.push(i);
+    });
+    return randomOf(moves);
+}
+
+module.exports = {
+    DIFFICULTY,
+    MIN_SIZE,
+    MAX_SIZE,
+    SUB_CELLS,
+    winnerOf,
+    lineThrough,
+    pickMove,
+    nextBoardAfter,
+    legalCells,
+    pickUltimateMove
+};
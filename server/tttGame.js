@@ -0,0 +1,136 @@
+// --- TIC TAC TOE ---
+// Game module (see gameRegistry.js). Turn timer, bot, round restarts and the
+// tally come from turnGame.js.
+// settings.tttMode 'classic' plays on a tttSize board with tttWinLength in a row;
+// 'ultimate' plays nine 3x3 boards where each move picks the opponent's next board.
+const tttEngine = require('./tttEngine');
+const { createTurnGame } = require('./turnGame');
+const { GameError } = require('./gameRegistry');
+const { ERR, checks } = require('./eventSchemas');
+const { int, roomCode } = checks;
+
+const MODES = ['classic', 'ultimate'];
+
+function createTttGame(host) {
+    const { io, rooms } = host;
+
+    const turns = createTurnGame(host, {
+        title: "Tic Tac Toe",
+        sides: ['X', 'O'],
+        startSide: room => room.settings.startSymbol,
+        resetBoard,
+        turnMsg,
+        pickBotMove(room, sym) {
+            const gd = room.gameData;
+            return gd.mode === 'ultimate'
+                ? tttEngine.pickUltimateMove(gd.board, gd.macro, gd.nextBoard, sym, room.settings.tttDifficulty)
+                : tttEngine.pickMove(gd.board, sym, room.settings.tttDifficulty, { size: gd.size, winLength: gd.winLength });
+        },
+        applyMove
+    });
+
+    function resetBoard(room) {
+        const ultimate = room.settings.tttMode === 'ultimate';
+        room.gameData.mode = ultimate ? 'ultimate' : 'classic';
+        room.gameData.size = ultimate ? 3 : room.settings.tttSize;
+        room.gameData.winLength = ultimate ? 3 : room.settings.tttWinLength;
+        room.gameData.board = Array(ultimate ? 9 * tttEngine.SUB_CELLS : room.gameData.size * room.gameData.size).fill(null);
+        room.gameData.macro = ultimate ? Array(9).fill(null) : null;
+        room.gameData.nextBoard = null;
+    }
+
+    function turnMsg(room) {
+        return `${room.gameData.turn}'s Turn`;
+    }
+
+    // ttt_update carries the whole shape so clients can draw any board size
+    function boardUpdate(room, index, sym) {
+        const gd = room.gameData;
+        return { board: gd.board, index, sym, mode: gd.mode, size: gd.size, winLength: gd.winLength,
+            macro: gd.macro, nextBoard: gd.nextBoard, line: gd.winLine };
+    }
+
+    // 'X', 'O', 'draw' or null after `sym` took `index`; records the winning line
+    // and, in Ultimate, the sub-board results and where the next move must go
+    function resultAfter(room, index, sym) {
+        const gd = room.gameData;
+        if(gd.mode === 'ultimate') {
+            const s = Math.floor(index / tttEngine.SUB_CELLS);
+            const sub = gd.board.slice(s * tttEngine.SUB_CELLS, (s + 1) * tttEngine.SUB_CELLS);
+            gd.macro[s] = tttEngine.winnerOf(sub);
+            gd.nextBoard = tttEngine.nextBoardAfter(index, gd.macro);
+            const win = tttEngine.winnerOf(gd.macro);
+            if(win && win !== 'draw') gd.winLine = tttEngine.lineThrough(gd.macro.map(v => v === 'draw' ? null : v), s);
+            return win;
+        }
+        gd.winLine = tttEngine.lineThrough(gd.board, index, gd.size, gd.winLength);
+        if(gd.winLine) return sym;
+        return gd.board.every(v => v !== null) ? 'draw' : null;
+    }
+
+    // Places `sym` at `index`, for players and the bot alike
+    function applyMove(roomCode, index, sym) {
+        const room = rooms[roomCode];
+        if(!room) return;
+
+        room.gameData.board[index] = sym;
+        const win = resultAfter(room, index, sym);
+        io.to(roomCode).emit('ttt_update', boardUpdate(room, index, sym));
+        io.to(roomCode).emit('sfx', 'pop');
+
+        if(win) turns.finishRound(roomCode, win, winner => ({ msg: win === 'draw' ? "Draw!" : `${winner} Wins!` }));
+        else turns.nextTurn(roomCode, sym);
+    }
+
+    const actions = {
+        move: { event: 'ttt_move', fields: { roomCode, index: int(0, tttEngine.MAX_SIZE * tttEngine.MAX_SIZE - 1) }, access: 'player', phase: ['PLAYING'], handle(code, userId, { index }) {
+            const gd = rooms[code].gameData;
+            const sym = gd.turn;
+            if(gd.players[sym] !== userId) throw new GameError("It's not your turn", ERR.FORBIDDEN);
+            if(index >= gd.board.length) throw new GameError("Invalid index");
+            if(gd.board[index] !== null) throw new GameError("That square is taken");
+            if(gd.mode === 'ultimate' && !tttEngine.legalCells(gd.board, gd.macro, gd.nextBoard).includes(index)) {
+                throw new GameError(gd.nextBoard === null ? "That board is already decided" : `You must play in board ${gd.nextBoard + 1}`);
+            }
+            applyMove(code, index, sym);
+        } }
+    };
+
+    return {
+        type: 'tictactoe',
+        maxPlayers: 2,
+        tickMs: 1000,
+        actions,
+        tick: turns.tick,
+
+        defaultSettings: () => ({ startSymbol: 'X', tttDifficulty: 'medium', tttMode: 'classic', tttSize: 3, tttWinLength: 3 }),
+
+        // Every ttt setting is checked here; win length can't exceed the board
+        // and Ultimate always uses 3x3 boards
+        parseSettings(raw, settings) {
+            settings.startSymbol = raw.startSymbol === 'O' ? 'O' : 'X';
+            settings.tttMode = MODES.includes(raw.tttMode) ? raw.tttMode : 'classic';
+            settings.tttDifficulty = Object.keys(tttEngine.DIFFICULTY).includes(raw.tttDifficulty) ? raw.tttDifficulty : 'medium';
+            settings.tttSize = Math.min(tttEngine.MAX_SIZE, Math.max(tttEngine.MIN_SIZE, parseInt(raw.tttSize) || 3));
+            settings.tttWinLength = Math.min(settings.tttSize, Math.max(3, parseInt(raw.tttWinLength) || Math.min(settings.tttSize, 5)));
+            if(settings.tttMode === 'ultimate') { settings.tttSize = 3; settings.tttWinLength = 3; }
+        },
+
+        initialData: () => ({ board: Array(9).fill(null), mode: 'classic', size: 3, winLength: 3, macro: null, nextBoard: null, turn: 'X', round: 1, tally: { X: 0, O: 0, draw: 0 } }),
+
+        start: turns.start,
+        end: turns.end,
+        resume: turns.resume,
+
+        publicState: room => ({ ...room.gameData }),
+
+        syncClient(socket, code) {
+            const room = rooms[code];
+            if(room.state !== 'PLAYING') return;
+            socket.emit('ttt_update', boardUpdate(room, null, null));
+            socket.emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: turnMsg(room) });
+        }
+    };
+}
+
+module.exports = { createTttGame };
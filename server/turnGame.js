@@ -0,0 +1,161 @@
+// --- TURN-BASED BOARD GAMES ---
+// Shared scaffolding for the two-seat board games (tic-tac-toe, Connect Four):
+// a per-move timer that skips the turn when it runs out, a bot for an empty seat,
+// rounds that restart by themselves with a running tally, and the hand-off to a
+// running tournament. The game supplies its board and move logic through `spec`:
+//   title                      shown when a round starts
+//   sides                      the two side symbols, e.g. ['X', 'O']
+//   startSide(room)            the side the first contestant plays, which moves first
+//   resetBoard(room)           puts a fresh board in room.gameData
+//   turnMsg(room)              timer caption for the side to move
+//   pickBotMove(room, side)    the bot's move, or -1 when it has none
+//   applyMove(code, move, side) plays a move and ends with finishRound() or nextTurn()
+const { GameError } = require('./gameRegistry');
+const { ERR } = require('./eventSchemas');
+
+const RESTART_MS = 3000;
+const WIN_POINTS = 100;
+const BOT_DELAY_MS = 600;
+
+function createTurnGame({ io, rooms, getPlayers, isConnected, getRoomState, startTicking, stopTicking, contestants, reportResult }, spec) {
+    const [first, second] = spec.sides;
+    const other = side => side === first ? second : first;
+    const emptyTally = () => ({ [first]: 0, [second]: 0, draw: 0 });
+    const leaderboard = room => getPlayers(room).sort((a, b) => b.score - a.score);
+
+    function startRound(roomCode) {
+        const room = rooms[roomCode];
+        const [p1, p2] = contestants(room);
+        if(!p1) {
+            stopTicking(roomCode);
+            room.state = "LOBBY";
+            io.to(roomCode).emit('update_room', getRoomState(room));
+            return;
+        }
+
+        const side = spec.startSide(room);
+        room.state = "PLAYING";
+        spec.resetBoard(room);
+        room.gameData.turn = side;
+        room.gameData.winLine = null;
+        room.gameData.moveTime = room.settings.time || 30;
+        room.gameData.currentMoveTimer = room.gameData.moveTime;
+        room.gameData.players = { [side]: p1.id, [other(side)]: p2 ? p2.id : 'BOT' };
+
+        io.to(roomCode).emit('update_room', getRoomState(room));
+        io.to(roomCode).emit('sys_msg', `${spec.title} Started!`);
+
+        startTicking(roomCode);
+        scheduleBotMove(roomCode);
+    }
+
+    function tick(roomCode) {
+        const room = rooms[roomCode];
+        if(room.state === 'ROUND_OVER') {
+            if(Date.now() >= room.gameData.phaseEndsAt) startRound(roomCode);
+            return;
+        }
+        if(room.state !== 'PLAYING') return stopTicking(roomCode);
+        if(!isConnected(room, room.gameData.players[room.gameData.turn])) return;
+        room.gameData.currentMoveTimer--;
+        io.to(roomCode).emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: spec.turnMsg(room) });
+
+        if(room.gameData.currentMoveTimer <= 0) {
+            room.gameData.currentMoveTimer = room.gameData.moveTime;
+            room.gameData.turn = other(room.gameData.turn);
+            io.to(roomCode).emit('sys_msg', "Time skip!");
+            io.to(roomCode).emit('update_room', getRoomState(room));
+            scheduleBotMove(roomCode);
+        }
+    }
+
+    // Hands the move to the other side after `side` played without deciding the round
+    function nextTurn(roomCode, side) {
+        const room = rooms[roomCode];
+        room.gameData.turn = other(side);
+        room.gameData.currentMoveTimer = room.gameData.moveTime;
+        io.to(roomCode).emit('timer_sync', { total: room.gameData.currentMoveTimer, msg: spec.turnMsg(room) });
+        scheduleBotMove(roomCode);
+    }
+
+    // Scores a decided round; `win` is a side or 'draw', and describe(winnerName)
+    // returns the alert's msg plus any game-specific fields
+    function finishRound(roomCode, win, describe) {
+        const room = rooms[roomCode];
+        let winner = "Draw";
+        room.state = "ROUND_OVER";
+        if(!room.gameData.tally) room.gameData.tally = emptyTally();
+        room.gameData.tally[win]++;
+        if(win !== 'draw') {
+            const wid = room.gameData.players[win];
+            const u = room.users.find(u => u.id === wid);
+            if(u) { u.score += WIN_POINTS; winner = u.username; }
+            else if(wid === 'BOT') winner = "Bot";
+        }
+        io.to(roomCode).emit('game_over_alert', {
+            title: "ROUND OVER",
+            leaderboard: leaderboard(room),
+            tally: room.gameData.tally,
+            ...describe(winner)
+        });
+
+        // A tournament game is a single round; otherwise the running tick restarts the round once this deadline passes
+        room.gameData.phaseEndsAt = Date.now() + RESTART_MS;
+        if(reportResult(roomCode, win === 'draw' ? 'draw' : room.gameData.players[win])) endTournamentGame(roomCode);
+    }
+
+    function endTournamentGame(roomCode) {
+        const room = rooms[roomCode];
+        stopTicking(roomCode);
+        room.state = "GAME_OVER";
+        io.to(roomCode).emit('update_room', getRoomState(room));
+    }
+
+    function scheduleBotMove(roomCode) {
+        const room = rooms[roomCode];
+        if(!room || room.state !== 'PLAYING') return;
+        const side = room.gameData.turn;
+        if(room.gameData.players[side] !== 'BOT') return;
+
+        setTimeout(() => {
+            // The turn may have been skipped or the round ended while we waited
+            if(!rooms[roomCode] || room.state !== 'PLAYING' || room.gameData.turn !== side) return;
+            const move = spec.pickBotMove(room, side);
+            if(move !== -1) spec.applyMove(roomCode, move, side);
+        }, BOT_DELAY_MS);
+    }
+
+    return {
+        tick,
+        nextTurn,
+        finishRound,
+
+        start(code) {
+            const room = rooms[code];
+            if(!getPlayers(room)[0]) throw new GameError("Need at least one player to start.", ERR.NOT_ENOUGH_PLAYERS);
+            room.gameData.tally = emptyTally();
+            startRound(code);
+        },
+
+        end(code, reason) {
+            const room = rooms[code];
+            stopTicking(code);
+            room.state = "GAME_OVER";
+            io.to(code).emit('game_over_alert', {
+                title: "GAME OVER",
+                msg: reason,
+                leaderboard: leaderboard(room),
+                tally: room.gameData.tally
+            });
+            io.to(code).emit('update_room', getRoomState(room));
+        },
+
+        resume(code) {
+            const state = rooms[code].state;
+            if(state === 'PLAYING' || state === 'ROUND_OVER') startTicking(code);
+            scheduleBotMove(code);
+        }
+    };
+}
+
+module.exports = { createTurnGame };
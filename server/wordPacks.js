@@ -0,0 +1,173 @@
+// --- WORD PACKS ---
+// Packs are JSON or CSV files in a directory. JSON:
+//   { "id", "name", "category", "language", "words": [{ "word", "difficulty", "aliases"? }] }
+// CSV: "# key: value" header lines for the metadata, then a `word,difficulty` table
+// with an optional `aliases` column of |-separated alternatives.
+const fs = require('fs');
+const path = require('path');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_MIX = ['easy', 'medium', 'hard'];
+const MIN_WORDS = 10;
+const MAX_WORDS = 5000;
+const MAX_ALIASES = 10;
+const WORD_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '-]*$/u;
+
+const packs = {};
+
+class WordPackError extends Error {}
+
+function parseCsv(text) {
+    const meta = {};
+    const words = [];
+    let header = null;
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if(!trimmed) return;
+        const m = /^#\s*(\w+)\s*:\s*(.*)$/.exec(trimmed);
+        if(m) { meta[m[1].toLowerCase()] = m[2].trim(); return; }
+        const cols = trimmed.split(',').map(c => c.trim());
+        if(!header) { header = cols.map(c => c.toLowerCase()); return; }
+        const row = {};
+        header.forEach((h, i) => { row[h] = cols[i]; });
+        const aliases = row.aliases ? row.aliases.split('|').map(a => a.trim()).filter(Boolean) : [];
+        words.push({ word: row.word, difficulty: row.difficulty, aliases });
+    });
+    return { ...meta, words };
+}
+
+// Throws WordPackError describing the first problem; returns a normalised pack
+function validatePack(data) {
+    if(!data || typeof data !== 'object') throw new WordPackError("Pack must be an object");
+    const { id, name, category, language, words } = data;
+    if(typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]{1,39}$/.test(id)) throw new WordPackError("id must be 2-40 lowercase letters, digits or dashes");
+    if(typeof name !== 'string' || !name.trim() || name.length > 60) throw new WordPackError("name is required (max 60 chars)");
+    if(typeof category !== 'string' || !/^[a-z0-9-]{2,30}$/.test(category)) throw new WordPackError("category must be 2-30 lowercase letters, digits or dashes");
+    if(typeof language !== 'string' || !/^[a-z]{2}(-[A-Z]{2})?$/.test(language)) throw new WordPackError("language must be a code like 'en' or 'pt-BR'");
+    if(!Array.isArray(words) || words.length < MIN_WORDS || words.length > MAX_WORDS) throw new WordPackError(`words must have ${MIN_WORDS}-${MAX_WORDS} entries`);
+
+    const seen = new Set();
+    const clean = words.map((w, i) => {
+        const entry = typeof w === 'string' ? { word: w, difficulty: 'medium' } : w;
+        const word = typeof entry?.word === 'string' ? entry.word.trim().replace(/\s+/g, ' ') : '';
+        if(!word || word.length > 30 || !WORD_PATTERN.test(word)) throw new WordPackError(`words[${i}] is not a valid word`);
+        if(!DIFFICULTIES.includes(entry.difficulty)) throw new WordPackError(`words[${i}].difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+        const aliases = entry.aliases === undefined ? [] : entry.aliases;
+        if(!Array.isArray(aliases) || aliases.length > MAX_ALIASES || !aliases.every(a => typeof a === 'string' && a.length <= 30 && WORD_PATTERN.test(a.trim()))) {
+            throw new WordPackError(`words[${i}].aliases must be up to ${MAX_ALIASES} valid words`);
+        }
+        const key = word.toLowerCase();
+        if(seen.has(key)) throw new WordPackError(`"${word}" appears twice`);
+        seen.add(key);
+        return aliases.length ? { word, difficulty: entry.difficulty, aliases: aliases.map(a => a.trim()) } : { word, difficulty: entry.difficulty };
+    });
+    return { id, name: name.trim(), category, language, words: clean };
+}
+
+function loadPackFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = file.endsWith('.csv')
+        ? { id: path.basename(file, '.csv'), ...parseCsv(text) }
+        : JSON.parse(text);
+    return validatePack(data);
+}
+
+// Loads every .json/.csv in `dir`; broken files are logged and skipped
+function loadPacks(dir, { builtIn = true } = {}) {
+    let files = [];
+    try { files = fs.readdirSync(dir); } catch (e) { return; }
+    files.filter(f => f.endsWith('.json') || f.endsWith('.csv')).forEach(f => {
+        try {
+            const pack = loadPackFile(path.join(dir, f));
+            if(packs[pack.id]) return console.log(`Word pack ${f}: duplicate id "${pack.id}", skipped`);
+            packs[pack.id] = { ...pack, builtIn };
+        } catch (e) { console.log(`Word pack ${f}: ${e.message}`); }
+    });
+}
+
+// Validates and writes an uploaded pack into `dir`, then makes it available
+function addPack(dir, data) {
+    const pack = validatePack(data);
+    if(packs[pack.id]) throw new WordPackError(`A pack with id "${pack.id}" already exists`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${pack.id}.json`), JSON.stringify(pack, null, 4));
+    packs[pack.id] = { ...pack, builtIn: false };
+    return packs[pack.id];
+}
+
+function getPack(id) {
+    return packs[id] || null;
+}
+
+function summarize(pack) {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    pack.words.forEach(w => counts[w.difficulty]++);
+    return { id: pack.id, name: pack.name, category: pack.category, language: pack.language, builtIn: pack.builtIn, wordCount: pack.words.length, counts };
+}
+
+function listPacks() {
+    return Object.values(packs).map(summarize);
+}
+
+// Unbiased in-place Fisher-Yates shuffle; callers pass a copy
+function shuffle(arr) {
+    for(let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+// Picks one word per entry in `mix` from the selected packs, falling back to
+// any difficulty when a bucket runs dry. Once fewer than `mix.length` unused
+// words are left, the whole pool is reused. Returns [{ word, difficulty, aliases }].
+function pickWords({ packIds, mix = DEFAULT_MIX, exclude = [] }) {
+    const selected = (packIds || []).map(getPack).filter(Boolean);
+    const source = selected.length > 0 ? selected : Object.values(packs).filter(p => p.builtIn && p.language === 'en');
+    const all = source.flatMap(p => p.words);
+    const excluded = new Set(exclude.map(w => w.toLowerCase()));
+    const fresh = all.filter(w => !excluded.has(w.word.toLowerCase()));
+    const pool = new Set(fresh.map(w => w.word.toLowerCase())).size >= mix.length ? fresh : all;
+
+    const buckets = { easy: [], medium: [], hard: [] };
+    pool.forEach(w => buckets[w.difficulty].push(w));
+    DIFFICULTIES.forEach(d => shuffle(buckets[d]));
+
+    const picks = [];
+    const used = new Set();
+    const take = (d) => {
+        while(buckets[d].length) {
+            const w = buckets[d].pop();
+            if(!used.has(w.word.toLowerCase())) { used.add(w.word.toLowerCase()); return w; }
+        }
+        return null;
+    };
+    mix.forEach(d => {
+        let w = take(d);
+        for(let i = 0; !w && i < DIFFICULTIES.length; i++) w = take(DIFFICULTIES[i]);
+        if(w) picks.push({ word: w.word, difficulty: w.difficulty, aliases: w.aliases || [] });
+    });
+    return picks;
+}
+
+function sanitizeMix(mix, count = 3) {
+    if(!Array.isArray(mix)) return DEFAULT_MIX.slice(0, count);
+    const clean = mix.filter(d => DIFFICULTIES.includes(d)).slice(0, count);
+    return clean.length === count ? clean : DEFAULT_MIX.slice(0, count);
+}
+
+module.exports = {
+    DIFFICULTIES,
+    DEFAULT_MIX,
+    WordPackError,
+    parseCsv,
+    validatePack,
+    loadPacks,
+    addPack,
+    getPack,
+    listPacks,
+    summarize,
+    pickWords,
+    sanitizeMix,
+    shuffle
+};
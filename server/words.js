@@ -1,6 +0,0 @@
-module.exports = [
-    "Apple", "Banana", "Cat", "Dog", "Elephant", "Fish", "Guitar", "House", "Ice Cream", 
-    "Jellyfish", "Kite", "Lion", "Moon", "Nest", "Owl", "Penguin", "Queen", "Robot", 
-    "Sun", "Tree", "Umbrella", "Violin", "Whale", "X-ray", "Yacht", "Zebra", "Computer",
-    "Pizza", "Rocket", "Ghost", "Cactus", "Bicycle", "Camera", "Telescope", "Rainbow"
-];
\ No newline at end of file